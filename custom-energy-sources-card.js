@@ -42,6 +42,45 @@ const DEFAULT_UNITS = {
   default: 'kWh'
 };
 
+// Units statistics can be converted between: energy relative to kWh, volume
+// relative to m³. Gas volume converts to energy with a calorific value.
+const UNIT_CONVERSIONS = {
+  Wh: { kind: 'energy', factor: 0.001 },
+  kWh: { kind: 'energy', factor: 1 },
+  MWh: { kind: 'energy', factor: 1000 },
+  MJ: { kind: 'energy', factor: 1 / 3.6 },
+  GJ: { kind: 'energy', factor: 1000 / 3.6 },
+  therm: { kind: 'energy', factor: 29.3071 },
+  'm³': { kind: 'volume', factor: 1 },
+  'ft³': { kind: 'volume', factor: 0.0283168 },
+  CCF: { kind: 'volume', factor: 2.83168 },
+  L: { kind: 'volume', factor: 0.001 },
+  gal: { kind: 'volume', factor: 0.00378541 }
+};
+
+const UNIT_ALIASES = {
+  m3: 'm³',
+  ft3: 'ft³',
+  cf: 'ft³',
+  hcf: 'CCF',
+  thm: 'therm',
+  therms: 'therm',
+  l: 'L',
+  liter: 'L',
+  litre: 'L',
+  gallon: 'gal'
+};
+
+// Power units relative to kW, for power_entity sources
+const POWER_UNITS = {
+  W: 0.001,
+  kW: 1,
+  MW: 1000
+};
+
+// Minor currency units a rate_unit may be declared in
+const CENT_UNITS = ['¢', 'c', 'ct', 'p', 'cents', 'pence'];
+
 const SOURCE_TYPES = [
   { value: 'solar', label: 'Solar' },
   { value: 'battery_in', label: 'Battery Charge' },
@@ -54,14 +93,365 @@ const SOURCE_TYPES = [
   { value: 'default', label: 'Custom' }
 ];
 
+const KPI_TYPES = {
+  home_consumption: { label: 'Home Consumption', emoji: '🏠', percent: false },
+  self_sufficiency: { label: 'Self-Sufficiency', emoji: '🏡', percent: true },
+  self_consumption: { label: 'Self-Consumption', emoji: '♻️', percent: true },
+  solar_fraction: { label: 'Solar Fraction', emoji: '🌤️', percent: true },
+  battery_efficiency: { label: 'Battery Efficiency', emoji: '🔋', percent: true }
+};
+
+// Total rows used when the card has no `totals` section; `types` also
+// accepts `net_metering` for the net metering row's cost
+const DEFAULT_TOTALS = [
+  { key: 'solar', label: 'Solar Value', emoji: '☀️', types: ['solar'], kind: 'value', sign: 'absolute', note: 'Generated' },
+  { key: 'grid', label: 'Grid Net', emoji: '⚡', types: ['grid_import', 'grid_export', 'grid_net', 'net_metering'], kind: 'bill' },
+  { key: 'battery', label: 'Battery Total', emoji: '🔋', types: ['battery_in', 'battery_out'], kind: 'bill', note: '' },
+  { key: 'gas', label: 'Gas Total', emoji: '🔥', types: ['gas'], kind: 'bill', note: '' },
+  { key: 'water', label: 'Water Total', emoji: '💧', types: ['water'], kind: 'bill', note: '' },
+  { key: 'other', label: 'Other Total', emoji: '📊', types: ['default'], kind: 'bill', note: '' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const FIVE_MINUTE_MS = 5 * 60 * 1000;
+
+// Home Assistant compiles each hour's (and each 5 minutes' short-term)
+// statistics shortly after the period ends
+const STATISTICS_COMPILE_DELAY_MS = 60 * 1000;
+
+// Most statistics responses kept in memory; the least recently used go first
+const STATISTICS_CACHE_SIZE = 50;
+
+// Bursts of state changes are coalesced into one update
+const UPDATE_DEBOUNCE_MS = 100;
+
+// Periods that tier thresholds, standing charges and budgets can be
+// defined for, and are scaled from to the selected period
+const BILLING_PERIODS = ['day', 'week', 'month', 'year'];
+
 const PERIOD_OPTIONS = [
   { value: 'today', label: 'Today' },
   { value: 'yesterday', label: 'Yesterday' },
   { value: 'week', label: 'This Week' },
+  { value: 'last_week', label: 'Last Week' },
   { value: 'month', label: 'This Month' },
-  { value: 'year', label: 'This Year' }
+  { value: 'last_month', label: 'Last Month' },
+  { value: 'year', label: 'This Year' },
+  { value: 'last_year', label: 'Last Year' },
+  { value: 'last_24_hours', label: 'Last 24 Hours' },
+  { value: 'last_7_days', label: 'Last 7 Days' },
+  { value: 'last_30_days', label: 'Last 30 Days' }
 ];
 
+// Other common names for the periods above, e.g. from an input_select
+const PERIOD_ALIASES = {
+  this_week: 'week',
+  this_month: 'month',
+  this_year: 'year',
+  previous_week: 'last_week',
+  previous_month: 'last_month',
+  previous_year: 'last_year'
+};
+
+// ============================================================================
+// COST FORMULA EXPRESSION LANGUAGE
+// ============================================================================
+
+// A small arithmetic language for cost_formula. It is parsed into a tree and
+// evaluated directly - dashboard YAML is never handed to eval/Function.
+
+class FormulaError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} at position ${position + 1}` : message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+const FORMULA_FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: (x) => Math.abs(x),
+  floor: (x) => Math.floor(x),
+  ceil: (x) => Math.ceil(x),
+  round: (x, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(x * factor) / factor;
+  },
+  clamp: (x, low, high) => Math.min(Math.max(x, low), high)
+};
+
+const FORMULA_OPERATORS = ['**', '==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ','];
+
+class CostFormula {
+  constructor(text) {
+    this.text = String(text);
+    this._tokens = this._tokenize(this.text);
+    this._index = 0;
+    this.ast = this._parseTernary();
+    const trailing = this._peek();
+    if (trailing.type !== 'end') {
+      throw new FormulaError(`Unexpected "${trailing.value}"`, trailing.position);
+    }
+  }
+
+  _tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.slice(i));
+      if (number) {
+        tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+        i += number[0].length;
+        continue;
+      }
+
+      // Identifiers may contain dots so entity ids (sensor.outdoor_temp)
+      // and legacy Math.min(...) style calls read naturally
+      const identifier = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(text.slice(i));
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], position: i });
+        i += identifier[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const end = text.indexOf(char, i + 1);
+        if (end === -1) throw new FormulaError('Unterminated string', i);
+        tokens.push({ type: 'string', value: text.slice(i + 1, end), position: i });
+        i = end + 1;
+        continue;
+      }
+
+      const operator = FORMULA_OPERATORS.find(op => text.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, position: i });
+        i += operator.length;
+        continue;
+      }
+
+      throw new FormulaError(`Unexpected character "${char}"`, i);
+    }
+    tokens.push({ type: 'end', value: 'end of formula', position: text.length });
+    return tokens;
+  }
+
+  _peek() {
+    return this._tokens[this._index];
+  }
+
+  _next() {
+    return this._tokens[this._index++];
+  }
+
+  _match(...operators) {
+    const token = this._peek();
+    if (token.type === 'operator' && operators.includes(token.value)) {
+      this._index++;
+      return token;
+    }
+    return null;
+  }
+
+  _expect(operator) {
+    const token = this._next();
+    if (token.type !== 'operator' || token.value !== operator) {
+      throw new FormulaError(`Expected "${operator}" but found "${token.value}"`, token.position);
+    }
+    return token;
+  }
+
+  _parseTernary() {
+    const condition = this._parseBinary(0);
+    const question = this._match('?');
+    if (!question) return condition;
+    const consequent = this._parseTernary();
+    this._expect(':');
+    const alternate = this._parseTernary();
+    return { type: 'conditional', condition, consequent, alternate, position: question.position };
+  }
+
+  _parseBinary(level) {
+    const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+    if (level >= levels.length) return this._parsePower();
+
+    let left = this._parseBinary(level + 1);
+    let token;
+    while ((token = this._match(...levels[level]))) {
+      const right = this._parseBinary(level + 1);
+      left = { type: 'binary', operator: token.value, left, right, position: token.position };
+    }
+    return left;
+  }
+
+  _parsePower() {
+    const base = this._parseUnary();
+    const token = this._match('**');
+    if (!token) return base;
+    // Right associative: 2 ** 3 ** 2 == 2 ** 9
+    const exponent = this._parsePower();
+    return { type: 'binary', operator: '**', left: base, right: exponent, position: token.position };
+  }
+
+  _parseUnary() {
+    const token = this._match('-', '+', '!');
+    if (token) {
+      return { type: 'unary', operator: token.value, argument: this._parseUnary(), position: token.position };
+    }
+    return this._parsePrimary();
+  }
+
+  _parsePrimary() {
+    const token = this._next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value, position: token.position };
+    }
+
+    if (token.type === 'identifier') {
+      if (this._match('(')) {
+        const args = [];
+        if (!this._match(')')) {
+          do {
+            args.push(this._parseTernary());
+          } while (this._match(','));
+          this._expect(')');
+        }
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'variable', name: token.value, position: token.position };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const expression = this._parseTernary();
+      this._expect(')');
+      return expression;
+    }
+
+    throw new FormulaError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  /**
+   * Evaluate the formula. `variables` maps names to numbers; `resolveEntity`
+   * returns the numeric state for an entity id (or undefined if unknown).
+   */
+  evaluate(variables = {}, resolveEntity = () => undefined) {
+    const result = this._evaluateNode(this.ast, variables, resolveEntity);
+    if (typeof result !== 'number' || !isFinite(result)) {
+      throw new FormulaError('Formula did not produce a number');
+    }
+    return result;
+  }
+
+  evaluateWith(definitions, variables = {}, resolveEntity = () => undefined) {
+    // Evaluate with a source's named `variables` (numbers or entity ids)
+    // resolved first; an unavailable one fails the whole formula
+    const named = {};
+    for (const [name, definition] of Object.entries(definitions || {})) {
+      named[name] = typeof definition === 'number' ? definition : resolveEntity(definition);
+      if (named[name] === undefined) {
+        throw new FormulaError(`Variable "${name}" (${definition}) is unavailable`);
+      }
+    }
+    return this.evaluate({ ...named, ...variables }, resolveEntity);
+  }
+
+  _evaluateNode(node, variables, resolveEntity) {
+    const evaluate = (child) => this._evaluateNode(child, variables, resolveEntity);
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'variable': {
+        if (Object.prototype.hasOwnProperty.call(variables, node.name)) {
+          return variables[node.name];
+        }
+        if (node.name.includes('.')) {
+          const state = resolveEntity(node.name);
+          if (state === undefined) {
+            throw new FormulaError(`Entity "${node.name}" is unavailable`, node.position);
+          }
+          return state;
+        }
+        throw new FormulaError(`Unknown variable "${node.name}"`, node.position);
+      }
+
+      case 'unary': {
+        const value = evaluate(node.argument);
+        if (node.operator === '-') return -value;
+        if (node.operator === '!') return value ? 0 : 1;
+        return +value;
+      }
+
+      case 'conditional':
+        return evaluate(node.condition) ? evaluate(node.consequent) : evaluate(node.alternate);
+
+      case 'binary': {
+        // Short-circuit logical operators before evaluating the right side
+        if (node.operator === '&&') return evaluate(node.left) ? evaluate(node.right) : 0;
+        if (node.operator === '||') return evaluate(node.left) || evaluate(node.right);
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '**': return Math.pow(left, right);
+          case '==': return left === right ? 1 : 0;
+          case '!=': return left !== right ? 1 : 0;
+          case '<': return left < right ? 1 : 0;
+          case '<=': return left <= right ? 1 : 0;
+          case '>': return left > right ? 1 : 0;
+          case '>=': return left >= right ? 1 : 0;
+        }
+        throw new FormulaError(`Unknown operator "${node.operator}"`, node.position);
+      }
+
+      case 'call': {
+        const name = node.name.replace(/^Math\./, '');
+
+        if (name === 'if') {
+          if (node.args.length !== 3) {
+            throw new FormulaError('if() takes 3 arguments', node.position);
+          }
+          return evaluate(node.args[0]) ? evaluate(node.args[1]) : evaluate(node.args[2]);
+        }
+
+        if (name === 'state') {
+          const entityId = node.args[0]?.type === 'literal' ? node.args[0].value : null;
+          if (node.args.length !== 1 || typeof entityId !== 'string') {
+            throw new FormulaError('state() takes one quoted entity id', node.position);
+          }
+          const state = resolveEntity(entityId);
+          if (state === undefined) {
+            throw new FormulaError(`Entity "${entityId}" is unavailable`, node.position);
+          }
+          return state;
+        }
+
+        // Own properties only, so names like "constructor" are not reachable
+        const fn = Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, name) ? FORMULA_FUNCTIONS[name] : null;
+        if (!fn) {
+          throw new FormulaError(`Unknown function "${node.name}"`, node.position);
+        }
+        return fn(...node.args.map(evaluate));
+      }
+    }
+
+    throw new FormulaError('Invalid formula', node.position);
+  }
+}
+
 // ============================================================================
 // MAIN CARD
 // ============================================================================
@@ -72,7 +462,29 @@ class CustomEnergySourcesCard extends HTMLElement {
     this.attachShadow({ mode: 'open' });
     this._config = null;
     this._hass = null;
-    this._energyData = {};
+    this._data = null;
+    this._compareData = null;
+    this._columnData = null;
+    this._projectionData = null;
+    this._netMeteringBank = null;
+    this._budgetAlerts = new Set();
+    this._statisticUnits = new Map();
+    this._costDetails = new Map();
+    this._detailsIndex = null;
+    this._detailsColumn = 0;
+    this._groupState = new WeakMap();
+    this._statisticsCache = new Map();
+    this._updateTimer = null;
+    this._refreshTimer = null;
+    this._updating = false;
+    this._updateQueued = false;
+    this._dashboardCompareRange = null;
+    this._formulas = new Map();
+    this._formulaErrors = new Map();
+    this._configuredSources = [];
+    this._energyPrefs = null;
+    this._energyInfo = null;
+    this._energyPrefsRequested = false;
     this._unsubscribe = null;
     this._dateRange = null;
     this._initialized = false;
@@ -104,10 +516,36 @@ class CustomEnergySourcesCard extends HTMLElement {
   }
 
   setConfig(config) {
-    if (!config.sources || !Array.isArray(config.sources) || config.sources.length === 0) {
+    if (config.sources !== undefined && !Array.isArray(config.sources)) {
+      throw new Error('sources must be a list');
+    }
+    if (Array.isArray(config.columns) && config.columns.length > 0) {
+      // Columns show one value per range, with no room for a comparison or
+      // a chart next to it
+      if (config.compare && config.compare !== 'none') {
+        throw new Error('compare cannot be combined with columns');
+      }
+      if ((config.chart && config.chart !== 'none') || (config.sources || []).some(source => source?.chart && source.chart !== 'none')) {
+        throw new Error('chart cannot be combined with columns');
+      }
+      const budgets = [
+        ...(config.sources || []).map(source => source?.budget),
+        ...(Array.isArray(config.totals) ? config.totals : []).map(total => total?.budget),
+        ...Object.values(config.categories || {}).map(category => category?.budget),
+        config.grand_total?.budget
+      ];
+      if (budgets.some(budget => budget !== undefined && budget !== null)) {
+        throw new Error('budget cannot be combined with columns');
+      }
+    }
+    if (config.auto_sources !== true && (!config.sources || config.sources.length === 0)) {
       throw new Error('Please add at least one energy source');
     }
 
+    // Explicit sources are kept raw so they can be re-merged over the
+    // sources read from the Energy Dashboard preferences
+    this._configuredSources = config.sources || [];
+
     this._config = {
       title: config.title || 'Energy Sources',
       show_header: config.show_header !== false,
@@ -117,11 +555,32 @@ class CustomEnergySourcesCard extends HTMLElement {
       cost_decimal_places: config.cost_decimal_places ?? 2,
       period: config.period || 'today',
       period_entity: config.period_entity || null,
-      sources: config.sources.map(source => this._normalizeSource(source)),
-      net_metering: config.net_metering || null
+      first_day_of_week: config.first_day_of_week ?? null,
+      billing_cycle: this._normalizeBillingCycle(config.billing_cycle),
+      compare: config.compare || null,
+      columns: (config.columns || []).map(column => this._normalizeColumn(column)),
+      chart: config.chart || 'none',
+      auto_sources: config.auto_sources === true,
+      sources: this._normalizeSources(this._configuredSources),
+      net_metering: this._normalizeNetMetering(config.net_metering),
+      categories: config.categories || {},
+      totals: this._normalizeTotals(config.totals, config.categories || {}),
+      grand_total: this._normalizeGrandTotal(config.grand_total),
+      kpis: (config.kpis || []).map(kpi => this._normalizeKpi(kpi)).filter(Boolean),
+      refresh_interval: config.refresh_interval > 0 ? config.refresh_interval : null,
+      live_update: ['state', 'short_term'].includes(config.live_update) ? config.live_update : null
     };
+    // Cached statistics are converted for this config's display units
+    this._statisticsCache.clear();
+
+    if (this._config.auto_sources && this._energyPrefs) {
+      this._applyEnergyPreferences(this._energyPrefs);
+    }
 
     this.render();
+    // A changed config needs its own data; hass updates only refetch when
+    // a relevant state changes
+    if (this._hass) this._requestUpdate();
   }
 
   _normalizeSource(source) {
@@ -129,20 +588,236 @@ class CustomEnergySourcesCard extends HTMLElement {
     return {
       type: type,
       entity: source.entity || '',
+      power_entity: source.power_entity || '',
       label: source.label || DEFAULT_LABELS[type] || DEFAULT_LABELS.default,
       emoji: source.emoji || DEFAULT_EMOJIS[type] || DEFAULT_EMOJIS.default,
       unit: source.unit || DEFAULT_UNITS[type] || DEFAULT_UNITS.default,
       rate_entity: source.rate_entity || '',
+      rate_unit: source.rate_unit || null,
+      calorific_value: source.calorific_value ?? null,
+      cost_statistic: source.cost_statistic || source.cost_entity || '',
       rate_static: source.rate_static ?? null,
+      rate_mode: source.rate_mode || 'historical',
+      tiers: (source.tiers || [])
+        .filter(tier => typeof tier?.rate === 'number')
+        .map(tier => ({ up_to: typeof tier.up_to === 'number' ? tier.up_to : null, rate: tier.rate }))
+        .sort((a, b) => (a.up_to ?? Infinity) - (b.up_to ?? Infinity)),
+      tier_period: source.tier_period || null,
       cost_formula: source.cost_formula || '',
       invert_cost: source.invert_cost || false,
       show_cost: source.show_cost !== false,
       hide_if_zero: source.hide_if_zero || false,
-      calculate_from: source.calculate_from || null
+      chart: source.chart || null,
+      emission_factor: source.emission_factor ?? null,
+      co2_intensity_entity: source.co2_intensity_entity || '',
+      // Solar and export displace grid generation, so their emissions are avoided
+      avoided_emissions: source.avoided_emissions ?? ['solar', 'grid_export'].includes(type),
+      calculate_from: source.calculate_from || null,
+      standing_charge: source.standing_charge ?? null,
+      standing_charge_period: source.standing_charge_period || 'day',
+      tax_percent: source.tax_percent ?? null,
+      billing_cycle_day: source.billing_cycle_day ?? null,
+      tap_action: this._normalizeAction(source.tap_action, 'none'),
+      hold_action: this._normalizeAction(source.hold_action, 'none'),
+      double_tap_action: this._normalizeAction(source.double_tap_action, 'none'),
+      budget: this._normalizeBudget(source.budget),
+      allocate_cost: source.allocate_cost === true,
+      variables: source.variables || {}
+    };
+  }
+
+  _normalizeTotals(totals, categories) {
+    // Without a totals section, fall back to the built-in category totals;
+    // `categories` still supplies their standing charges and taxes
+    const definitions = Array.isArray(totals) ? totals : DEFAULT_TOTALS;
+    return definitions.map((total, index) => {
+      const key = total.key || `total_${index}`;
+      const kind = ['bill', 'credit', 'value'].includes(total.kind) ? total.kind : 'bill';
+      return {
+        standing_charge_period: 'day',
+        ...categories[key],
+        key,
+        label: total.label || 'Total',
+        emoji: total.emoji || DEFAULT_EMOJIS.default,
+        types: [].concat(total.types || []),
+        sources: [].concat(total.sources || []),
+        kind,
+        sign: ['normal', 'inverted', 'absolute'].includes(total.sign) ? total.sign : 'normal',
+        note: total.note,
+        // Values (like solar generated) are not part of what is paid
+        in_grand_total: total.in_grand_total ?? kind !== 'value',
+        ...(total.standing_charge !== undefined && { standing_charge: total.standing_charge }),
+        ...(total.standing_charge_period !== undefined && { standing_charge_period: total.standing_charge_period }),
+        ...(total.tax_percent !== undefined && { tax_percent: total.tax_percent }),
+        budget: this._normalizeBudget(total.budget ?? categories[key]?.budget)
+      };
+    });
+  }
+
+  _normalizeGrandTotal(grandTotal) {
+    if (!grandTotal) return null;
+    const options = grandTotal === true ? {} : grandTotal;
+    return {
+      label: options.label || 'Grand Total',
+      emoji: options.emoji || '🧾',
+      kind: 'bill',
+      note: options.note,
+      budget: this._normalizeBudget(options.budget)
+    };
+  }
+
+  _normalizeSources(sources, parent = null) {
+    // Children are flattened in right after their parent (followed by the
+    // parent's untracked remainder), each keeping a link to its parent
+    return sources.flatMap(raw => {
+      const source = this._normalizeSource(parent ? this._inheritFromParent(raw, parent) : raw);
+      source.parent = parent;
+      source.depth = parent ? parent.depth + 1 : 0;
+      source.collapsed = raw.collapsed === true;
+
+      const descendants = this._normalizeSources(raw.children || [], source);
+      source.children = descendants.filter(child => child.parent === source);
+      if (source.children.length === 0) return [source];
+
+      // Metered parents get a row for what their children don't account for
+      if (!this._isGroupOnly(source) && raw.untracked !== false) {
+        const untracked = this._normalizeSource({
+          label: raw.untracked_label || 'Untracked',
+          emoji: '❔',
+          unit: source.unit,
+          show_cost: source.show_cost,
+          tap_action: 'none',
+          hold_action: 'none'
+        });
+        Object.assign(untracked, { parent: source, depth: source.depth + 1, children: [], untracked_of: source });
+        descendants.push(untracked);
+      }
+      return [source, ...descendants];
+    });
+  }
+
+  _inheritFromParent(child, parent) {
+    // Children without pricing of their own use the parent's rate, or its
+    // effective average rate when the parent is priced as a whole (tiers,
+    // a cost statistic or a formula)
+    const priced = ['rate_entity', 'rate_static', 'tiers', 'cost_formula', 'cost_statistic', 'cost_entity']
+      .some(key => child[key] !== undefined && child[key] !== null && child[key] !== '');
+    const inherited = { unit: parent.unit, show_cost: parent.show_cost, ...child };
+    if (priced) return inherited;
+
+    if (parent.tiers.length > 0 || parent.cost_statistic || parent.cost_formula) {
+      return { ...inherited, allocate_cost: true };
+    }
+    return {
+      rate_entity: parent.rate_entity,
+      rate_static: parent.rate_static,
+      rate_mode: parent.rate_mode,
+      rate_unit: parent.rate_unit,
+      calorific_value: parent.calorific_value,
+      ...inherited
+    };
+  }
+
+  _isGroupOnly(source) {
+    // A group without a meter of its own adds up its children
+    return source.children?.length > 0 && !source.entity && !source.power_entity && !source.calculate_from;
+  }
+
+  _normalizeAction(action, defaultAction) {
+    if (!action) return { action: defaultAction };
+    return typeof action === 'string' ? { action } : action;
+  }
+
+  _normalizeBudget(budget) {
+    if (budget === undefined || budget === null) return null;
+    const options = typeof budget === 'number' ? { amount: budget } : budget;
+    const amount = parseFloat(options.amount);
+    if (!(amount > 0)) return null;
+    return {
+      amount,
+      unit: options.unit === 'energy' ? 'energy' : 'cost',
+      period: BILLING_PERIODS.includes(options.period) ? options.period : null,
+      warning: options.warning ?? 80,
+      error: options.error ?? 100,
+      action: typeof options.action === 'string' ? { service: options.action } : options.action || null
+    };
+  }
+
+  _normalizeBillingCycle(billingCycle) {
+    if (!billingCycle) return null;
+    const options = typeof billingCycle === 'number' ? { anchor_day: billingCycle } : billingCycle;
+    return {
+      anchor_day: Math.min(Math.max(parseInt(options.anchor_day) || 1, 1), 31),
+      projection: options.projection === 'last_year' ? 'last_year' : 'average',
+      min_days: options.min_days ?? 7
+    };
+  }
+
+  _normalizeNetMetering(netMetering) {
+    if (!netMetering) return null;
+    // import_rate and export_rate are each an entity id or a number; the
+    // older rate_entity/rate_static price both directions
+    const rate = netMetering.rate_entity || netMetering.rate_static;
+    const importRate = netMetering.import_rate ?? rate ?? null;
+    return {
+      ...netMetering,
+      import_rate: importRate,
+      export_rate: netMetering.export_rate ?? importRate,
+      banking: netMetering.banking === 'energy' ? 'energy' : 'cost',
+      true_up_date: this._parseTrueUpDate(netMetering.true_up_date),
+      surplus_rate: netMetering.surplus_rate ?? 0
+    };
+  }
+
+  _parseTrueUpDate(value) {
+    // "MM-DD", or a full date of which only the month and day count
+    if (value instanceof Date) return { month: value.getUTCMonth(), day: value.getUTCDate() };
+    if (value === undefined || value === null || value === '') return null;
+    const match = /^(?:\d{4}-)?(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+    const month = match ? parseInt(match[1]) : 0;
+    const day = match ? parseInt(match[2]) : 0;
+    if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) {
+      throw new Error(`true_up_date must be a date like "04-15", not "${value}"`);
+    }
+    return { month: month - 1, day };
+  }
+
+  _normalizeColumn(column) {
+    const options = typeof column === 'string' ? { period: column } : column || {};
+    let period = options.period || 'today';
+    if (typeof period === 'string' && period !== 'billing_cycle') {
+      period = this._resolvePeriodName(period);
+      if (!period) {
+        throw new Error(`column period must be a period such as "month" or "last_7_days", not "${options.period}"`);
+      }
+    }
+    const known = PERIOD_OPTIONS.find(option => option.value === period);
+    const fallback = typeof period === 'string'
+      ? period.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())
+      : 'Custom';
+    return {
+      period,
+      label: options.label || known?.label || fallback
+    };
+  }
+
+  _normalizeKpi(kpi) {
+    const options = typeof kpi === 'string' ? { type: kpi } : kpi || {};
+    const defaults = KPI_TYPES[options.type];
+    if (!defaults) {
+      console.warn(`[Energy Card] Unknown KPI type "${options.type}"`);
+      return null;
+    }
+    return {
+      type: options.type,
+      label: options.label || defaults.label,
+      emoji: options.emoji || defaults.emoji,
+      display: options.display === 'badge' ? 'badge' : 'row'
     };
   }
 
   set hass(hass) {
+    const previous = this._hass;
     this._hass = hass;
 
     if (!this._initialized && hass?.connection) {
@@ -150,7 +825,201 @@ class CustomEnergySourcesCard extends HTMLElement {
       this._subscribeToEnergyCollection();
     }
 
-    this._updateData();
+    if (this._config?.auto_sources && !this._energyPrefsRequested && hass?.callWS) {
+      this._energyPrefsRequested = true;
+      this._loadEnergyPreferences();
+    }
+
+    // State changes elsewhere in the house don't affect the card
+    if (!previous || this._hasRelevantChange(previous, hass)) {
+      this._requestUpdate();
+    }
+  }
+
+  _getRelevantEntities() {
+    // Entities whose state the card reads: sources and their rates,
+    // formula variables and entity references, and the period selector
+    const entities = new Set([this._config.period_entity]);
+    this._config.sources.forEach(source => {
+      [source.entity, source.rate_entity, source.co2_intensity_entity,
+        source.calculate_from?.import, source.calculate_from?.export].forEach(id => entities.add(id));
+      Object.values(source.variables || {}).forEach(id => entities.add(id));
+      (source.cost_formula.match(/\b[a-z_]+\.[a-z0-9_]+\b/g) || []).forEach(id => entities.add(id));
+    });
+    const nm = this._config.net_metering;
+    if (nm) {
+      [nm.import_entity, nm.export_entity, nm.import_rate, nm.export_rate]
+        .filter(id => typeof id === 'string')
+        .forEach(id => entities.add(id));
+    }
+    entities.delete(undefined);
+    entities.delete(null);
+    entities.delete('');
+    return entities;
+  }
+
+  _hasRelevantChange(previous, hass) {
+    if (!this._config) return false;
+    if (!previous.states || !hass?.states) return true;
+    for (const entityId of this._getRelevantEntities()) {
+      if (typeof entityId === 'string' && previous.states[entityId] !== hass.states[entityId]) return true;
+    }
+    return false;
+  }
+
+  _requestUpdate() {
+    clearTimeout(this._updateTimer);
+    this._updateTimer = setTimeout(() => this._runUpdate(), UPDATE_DEBOUNCE_MS);
+  }
+
+  async _runUpdate() {
+    // One update at a time; a request arriving meanwhile runs once after it
+    if (this._updating) {
+      this._updateQueued = true;
+      return;
+    }
+    this._updating = true;
+    try {
+      await this._updateData();
+    } finally {
+      this._updating = false;
+    }
+    if (this._updateQueued) {
+      this._updateQueued = false;
+      this._runUpdate();
+    }
+  }
+
+  _getLastCompileTime(now = Date.now(), step = HOUR_MS) {
+    const compiled = Math.floor(now / step) * step + STATISTICS_COMPILE_DELAY_MS;
+    return compiled > now ? compiled - step : compiled;
+  }
+
+  _getCompiledThrough(now = Date.now()) {
+    // End of the last hour whose long-term statistics are compiled
+    return Math.floor(this._getLastCompileTime(now) / HOUR_MS) * HOUR_MS;
+  }
+
+  _isCacheValid(entry, now = Date.now()) {
+    // Ranges that were complete when fetched never change; others are
+    // stale once a newer bucket is compiled or the refresh interval passes
+    if (entry.end + STATISTICS_COMPILE_DELAY_MS <= entry.fetchedAt) return true;
+    if (entry.fetchedAt < this._getLastCompileTime(now, entry.step)) return false;
+    const interval = this._config.refresh_interval;
+    return !interval || now - entry.fetchedAt < interval * 60 * 1000;
+  }
+
+  _scheduleRefresh() {
+    // Refetch when the next hour's statistics are compiled (every 5 minutes
+    // for short-term live updates and live power sources), or sooner with a
+    // refresh_interval
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = null;
+    if (!this.isConnected || !this._config) return;
+
+    const now = Date.now();
+    const live = this._config.live_update;
+    const step = live === 'short_term' || (live && this._config.sources.some(source => source.power_entity))
+      ? FIVE_MINUTE_MS
+      : HOUR_MS;
+    let next = this._getLastCompileTime(now, step) + step;
+    if (this._config.refresh_interval) {
+      next = Math.min(next, now + this._config.refresh_interval * 60 * 1000);
+    }
+    this._refreshTimer = setTimeout(() => this._requestUpdate(), Math.max(next - now, 1000));
+  }
+
+  async _loadEnergyPreferences() {
+    try {
+      const prefs = await this._hass.callWS({ type: 'energy/get_prefs' });
+      // energy/info lists the cost statistics Home Assistant generates for
+      // sources priced by an entity or a fixed number
+      const info = await this._hass.callWS({ type: 'energy/info' }).catch(() => null);
+      this._applyEnergyPreferences(prefs, info);
+      this._requestUpdate();
+    } catch (e) {
+      console.error('[Energy Card] Failed to load energy preferences:', e);
+    }
+  }
+
+  _applyEnergyPreferences(prefs, info = null) {
+    this._energyPrefs = prefs;
+    this._energyInfo = info || this._energyInfo;
+    if (!this._config?.auto_sources) return;
+
+    const autoSources = this._buildSourcesFromPreferences(prefs, this._energyInfo);
+
+    // Explicit sources override the generated source with the same
+    // statistic id; the rest are appended after the generated ones
+    const overrides = new Map();
+    const extras = [];
+    this._configuredSources.forEach(source => {
+      if (source.entity && autoSources.some(auto => auto.entity === source.entity)) {
+        overrides.set(source.entity, source);
+      } else {
+        extras.push(source);
+      }
+    });
+
+    const units = JSON.stringify([...this._getDisplayUnits()]);
+    this._config.sources = this._normalizeSources([
+      ...autoSources.map(auto => ({ ...auto, ...overrides.get(auto.entity) })),
+      ...extras
+    ]);
+    if (JSON.stringify([...this._getDisplayUnits()]) !== units) this._statisticsCache.clear();
+  }
+
+  _buildSourcesFromPreferences(prefs, info) {
+    const sources = [];
+    const costSensors = info?.cost_sensors || {};
+    const priced = (entry, statEnergy, statCost) => ({
+      rate_entity: entry.entity_energy_price || '',
+      rate_static: typeof entry.number_energy_price === 'number' ? entry.number_energy_price : null,
+      cost_statistic: statCost || costSensors[statEnergy] || ''
+    });
+    const numbered = (type, index, count) =>
+      count > 1 ? `${DEFAULT_LABELS[type]} ${index + 1}` : DEFAULT_LABELS[type];
+
+    for (const energySource of prefs?.energy_sources || []) {
+      switch (energySource.type) {
+        case 'solar':
+          sources.push({ type: 'solar', entity: energySource.stat_energy_from, show_cost: false });
+          break;
+        case 'battery':
+          // stat_energy_to is energy into the battery, stat_energy_from out of it
+          sources.push({ type: 'battery_in', entity: energySource.stat_energy_to, show_cost: false });
+          sources.push({ type: 'battery_out', entity: energySource.stat_energy_from, show_cost: false });
+          break;
+        case 'grid': {
+          const flowFrom = energySource.flow_from || [];
+          const flowTo = energySource.flow_to || [];
+          flowFrom.forEach((flow, index) => sources.push({
+            type: 'grid_import',
+            entity: flow.stat_energy_from,
+            label: numbered('grid_import', index, flowFrom.length),
+            ...priced(flow, flow.stat_energy_from, flow.stat_cost)
+          }));
+          flowTo.forEach((flow, index) => sources.push({
+            type: 'grid_export',
+            entity: flow.stat_energy_to,
+            label: numbered('grid_export', index, flowTo.length),
+            invert_cost: true,
+            ...priced(flow, flow.stat_energy_to, flow.stat_compensation)
+          }));
+          break;
+        }
+        case 'gas':
+        case 'water':
+          sources.push({
+            type: energySource.type,
+            entity: energySource.stat_energy_from,
+            ...priced(energySource, energySource.stat_energy_from, energySource.stat_cost)
+          });
+          break;
+      }
+    }
+
+    return sources.filter(source => source.entity);
   }
 
   _getEnergyDataCollection() {
@@ -176,6 +1045,9 @@ class CustomEnergySourcesCard extends HTMLElement {
         console.debug('[Energy Card] Found energy collection, subscribing...');
         this._energyCollectionUnsubscribe = collection.subscribe((data) => {
           console.debug('[Energy Card] Energy collection data received:', data);
+          if (data.prefs && this._config?.auto_sources) {
+            this._applyEnergyPreferences(data.prefs, data.info);
+          }
           if (data.start && data.end) {
             this._dateRange = {
               start: data.start,
@@ -183,15 +1055,21 @@ class CustomEnergySourcesCard extends HTMLElement {
             };
             console.debug('[Energy Card] Using date range from collection:', this._dateRange);
           }
-          this._updateData();
+          // startCompare/endCompare are only present while the dashboard's
+          // compare toggle is on
+          this._dashboardCompareRange = data.startCompare && data.endCompare
+            ? { start: data.startCompare, end: data.endCompare }
+            : null;
+          this._requestUpdate();
         });
         return;
       }
 
       if (Date.now() - startTime > TIMEOUT_MS) {
+        // Leave _dateRange unset so each update follows the configured
+        // period (and period_entity) instead of a range frozen now
         console.warn('[Energy Card] Timeout waiting for energy collection, using configured period');
-        this._dateRange = this._getDateRangeForPeriod(this._getConfiguredPeriod());
-        this._updateData();
+        this._requestUpdate();
         return;
       }
 
@@ -207,25 +1085,62 @@ class CustomEnergySourcesCard extends HTMLElement {
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     let start, end;
 
+    if (period && typeof period === 'object') {
+      return this._getCustomDateRange(period, now);
+    }
+
+    // Rolling windows ending now, e.g. last_24_hours or last_30_days
+    const rolling = /^last_(\d+)_(hours|days)$/.exec(period);
+    if (rolling) {
+      start = new Date(now);
+      if (rolling[2] === 'hours') {
+        start.setHours(start.getHours() - parseInt(rolling[1]));
+      } else {
+        start.setDate(start.getDate() - parseInt(rolling[1]));
+      }
+      return { start: start.toISOString(), end: now.toISOString() };
+    }
+
+    const weekStart = new Date(today);
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() - this._getFirstDayOfWeek() + 7) % 7));
+
     switch (period) {
+      case 'billing_cycle': {
+        const anchor = this._config?.billing_cycle?.anchor_day || 1;
+        start = this._getBillingCycle(anchor, now).start;
+        end = now;
+        break;
+      }
       case 'yesterday':
         start = new Date(today);
         start.setDate(start.getDate() - 1);
         end = new Date(today);
         break;
       case 'week':
-        start = new Date(today);
-        start.setDate(start.getDate() - start.getDay()); // Start of week (Sunday)
+        start = weekStart;
         end = now;
         break;
+      case 'last_week':
+        start = new Date(weekStart);
+        start.setDate(start.getDate() - 7);
+        end = weekStart;
+        break;
       case 'month':
         start = new Date(today.getFullYear(), today.getMonth(), 1);
         end = now;
         break;
+      case 'last_month':
+        start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+        end = new Date(today.getFullYear(), today.getMonth(), 1);
+        break;
       case 'year':
         start = new Date(today.getFullYear(), 0, 1);
         end = now;
         break;
+      case 'last_year':
+        start = new Date(today.getFullYear() - 1, 0, 1);
+        end = new Date(today.getFullYear(), 0, 1);
+        break;
       case 'today':
       default:
         start = today;
@@ -239,207 +1154,1905 @@ class CustomEnergySourcesCard extends HTMLElement {
     };
   }
 
-  _getConfiguredPeriod() {
-    // Check if period_entity is set and has a valid value
-    if (this._config?.period_entity && this._hass?.states?.[this._config.period_entity]) {
-      const entityState = this._hass.states[this._config.period_entity].state;
-      // Map common values to our period options
-      const stateMap = {
-        'today': 'today',
-        'yesterday': 'yesterday',
-        'week': 'week',
-        'this_week': 'week',
-        'month': 'month',
-        'this_month': 'month',
-        'year': 'year',
-        'this_year': 'year'
-      };
-      if (stateMap[entityState.toLowerCase()]) {
-        return stateMap[entityState.toLowerCase()];
+  _getCustomDateRange(period, now) {
+    // { start_offset: '-7d', end_offset: '0d', align: 'day' } - offsets are
+    // relative to now; align snaps both ends to the start of the day
+    const applyOffset = (offset) => {
+      const date = new Date(now);
+      const match = /^([+-]?\d+)\s*(h|d|w|M|y)?$/.exec(String(offset ?? 0).trim());
+      if (!match) {
+        console.warn(`[Energy Card] Invalid period offset "${offset}"`);
+        return date;
+      }
+      const amount = parseInt(match[1]);
+      switch (match[2]) {
+        case 'h': date.setHours(date.getHours() + amount); break;
+        case 'w': date.setDate(date.getDate() + amount * 7); break;
+        case 'M': return this._shiftDate(date, 'month', amount);
+        case 'y': return this._shiftDate(date, 'year', amount);
+        case 'd':
+        default: date.setDate(date.getDate() + amount); break;
       }
+      return date;
+    };
+
+    let start = applyOffset(period.start_offset);
+    let end = applyOffset(period.end_offset);
+    if (period.align === 'day') {
+      start = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+      end = new Date(end.getFullYear(), end.getMonth(), end.getDate());
     }
-    return this._config?.period || 'today';
-  }
+    if (end > now) end = now;
 
-  async _updateData() {
-    if (!this._hass || !this._config) return;
+    return {
+      start: start.toISOString(),
+      end: end.toISOString()
+    };
+  }
+
+  _getFirstDayOfWeek() {
+    // 0 = Sunday ... 6 = Saturday; explicit config, then Home Assistant's
+    // locale setting, then the language's convention
+    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const configured = this._config?.first_day_of_week;
+    if (typeof configured === 'number') return configured % 7;
+    if (days.includes(configured)) return days.indexOf(configured);
+
+    const locale = this._hass?.locale;
+    if (days.includes(locale?.first_weekday)) return days.indexOf(locale.first_weekday);
+
+    try {
+      const intlLocale = new Intl.Locale(locale?.language || this._hass?.language || navigator.language);
+      const weekInfo = intlLocale.getWeekInfo?.() || intlLocale.weekInfo;
+      // Intl reports 1 = Monday ... 7 = Sunday
+      if (weekInfo?.firstDay) return weekInfo.firstDay % 7;
+    } catch (e) {
+      // Fall through to Sunday
+    }
+    return 0;
+  }
+
+  _getConfiguredPeriod() {
+    // Check if period_entity is set and has a valid value
+    if (this._config?.period_entity && this._hass?.states?.[this._config.period_entity]) {
+      const period = this._resolvePeriodName(this._hass.states[this._config.period_entity].state);
+      if (period) return period;
+    }
+    return this._config?.period || 'today';
+  }
+
+  _resolvePeriodName(name) {
+    // A period option from a name like "This Month" or "last-7-days", or
+    // null when it is not one
+    const key = String(name).toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (PERIOD_ALIASES[key]) return PERIOD_ALIASES[key];
+    if (PERIOD_OPTIONS.some(option => option.value === key)) return key;
+    if (/^last_\d+_(hours|days)$/.test(key)) return key;
+    return null;
+  }
+
+  async _updateData() {
+    if (!this._hass || !this._config) return;
+
+    // A billing cycle always shows the current cycle; otherwise use the
+    // energy dashboard date range if available, else the configured period
+    const dateRange = this._config.billing_cycle
+      ? this._getDateRangeForPeriod('billing_cycle')
+      : this._dateRange || this._getDateRangeForPeriod(this._getConfiguredPeriod());
+    const startTime = new Date(dateRange.start);
+    const endTime = dateRange.end ? new Date(dateRange.end) : new Date();
+
+    if (this._config.columns.length > 0) {
+      try {
+        this._columnData = await this._fetchColumnData();
+      } catch (e) {
+        console.error('Error fetching energy statistics:', e);
+        this._columnData = null;
+      }
+      await this._updateNetMeteringBank();
+      this.render();
+      this._scheduleRefresh();
+      return;
+    }
+
+    try {
+      const billing = this._config.billing_cycle;
+      this._data = await this._fetchData(startTime, endTime, billing && (anchor => {
+        const cycle = this._getBillingCycle(anchor);
+        return { start: cycle.start, end: endTime, cycleEnd: cycle.end };
+      }));
+      const compareRange = this._getCompareRange(startTime, endTime);
+      this._compareData = compareRange
+        ? await this._fetchData(compareRange.start, compareRange.end)
+        : null;
+
+      // The rest of each cycle as it went last year, for last_year projections
+      this._projectionData = billing?.projection === 'last_year'
+        ? await this._fetchData(
+          this._shiftDate(endTime, 'year', -1),
+          this._shiftDate(this._getBillingCycle(billing.anchor_day).end, 'year', -1),
+          anchor => ({
+            start: this._shiftDate(endTime, 'year', -1),
+            end: this._shiftDate(this._getBillingCycle(anchor).end, 'year', -1)
+          })
+        )
+        : null;
+    } catch (e) {
+      console.error('Error fetching energy statistics:', e);
+      this._data = this._createEmptyData(startTime, endTime);
+      this._compareData = null;
+      this._projectionData = null;
+    }
+    await this._updateNetMeteringBank();
+    if (this._data.loaded) this._checkBudgets(this._getBudgetStatuses(this._data));
+    this.render();
+    this._scheduleRefresh();
+  }
+
+  _getTrueUpPeriod(trueUp, now = new Date()) {
+    // The net metering year containing `now`, from one true-up date to the
+    // next (the day is clamped to the month's length, like billing cycles)
+    const trueUpIn = year =>
+      new Date(year, trueUp.month, Math.min(trueUp.day, new Date(year, trueUp.month + 1, 0).getDate()));
+
+    let start = trueUpIn(now.getFullYear());
+    if (start > now) start = trueUpIn(now.getFullYear() - 1);
+    return { start, end: trueUpIn(start.getFullYear() + 1) };
+  }
+
+  async _updateNetMeteringBank() {
+    // Fetched on its own, so a failure only leaves the bank out
+    try {
+      this._netMeteringBank = await this._fetchNetMeteringBank();
+    } catch (e) {
+      console.error('[Energy Card] Error fetching net metering bank:', e);
+      this._netMeteringBank = null;
+    }
+  }
+
+  _getNetMeteringSegments(trueUp, now) {
+    // Ranges to fetch for the bank: the rest of the true-up month in daily
+    // buckets when the true-up falls part way through it, then whole months
+    // up to this one (unchanged once fetched, so served from the cache) and
+    // this month so far
+    const segments = [];
+    const firstMonth = trueUp.getDate() === 1 ? trueUp : new Date(trueUp.getFullYear(), trueUp.getMonth() + 1, 1);
+    if (firstMonth > trueUp) {
+      segments.push({ start: trueUp, end: new Date(Math.min(firstMonth, now)), period: 'day' });
+    }
+    const currentMonth = this._getBucketStart(now, 'month');
+    if (firstMonth < currentMonth) {
+      segments.push({ start: firstMonth, end: currentMonth, period: 'month' });
+    }
+    const monthStart = new Date(Math.max(firstMonth, currentMonth));
+    if (monthStart < now) {
+      segments.push({ start: monthStart, end: now, period: 'month' });
+    }
+    return segments;
+  }
+
+  async _fetchNetMeteringBank(now = new Date()) {
+    // Credits banked since the last true-up, settled month by month from
+    // the true-up day itself
+    const nm = this._config.net_metering;
+    if (!nm?.true_up_date || !nm.import_entity) return null;
+
+    const { start, end } = this._getTrueUpPeriod(nm.true_up_date, now);
+    const rateIds = [nm.import_rate, nm.export_rate].filter(rate => typeof rate === 'string' && rate);
+    const entityIds = [...new Set([nm.import_entity, nm.export_entity, ...rateIds].filter(Boolean))];
+    const segments = this._getNetMeteringSegments(start, now);
+    const results = await Promise.all(segments.map(segment =>
+      this._fetchStatistics(entityIds, segment.start, segment.end, segment.period, ['change', 'mean'])));
+
+    const months = new Map();
+    segments.forEach((segment, index) => {
+      const statistics = results[index];
+      const energy = this._processStatistics(statistics, segment.start, segment.end, segment.period);
+
+      // A bucket's rate is the rate entity's mean over it, else its current
+      // rate; an export rate without either falls back to the import rate
+      const rateFor = (rate, bucket, fallback) => {
+        const stat = typeof rate === 'string'
+          ? (statistics[rate] || []).find(candidate => new Date(candidate.start).getTime() === bucket)
+          : null;
+        return typeof stat?.mean === 'number'
+          ? stat.mean * this._getNetMeteringRateScale(rate)
+          : this._getNetMeteringRate(rate, fallback);
+      };
+
+      const buckets = new Map();
+      const add = (entityId, key) => (energy[entityId]?.series || []).forEach(({ start: bucket, change }) => {
+        const entry = buckets.get(bucket) || { import: 0, export: 0 };
+        entry[key] += change;
+        buckets.set(bucket, entry);
+      });
+      add(nm.import_entity, 'import');
+      if (nm.export_entity) add(nm.export_entity, 'export');
+
+      buckets.forEach((entry, bucket) => {
+        const importRate = rateFor(nm.import_rate, bucket);
+        const exportRate = rateFor(nm.export_rate, bucket, importRate);
+        // The days of a partial true-up month settle as one month
+        const key = segment.period === 'day' ? segment.start.getTime() : bucket;
+        const month = months.get(key) || { start: key, import: 0, export: 0, importCost: 0, exportCredit: 0 };
+        month.import += entry.import;
+        month.export += entry.export;
+        month.importCost += entry.import * importRate;
+        month.exportCredit += entry.export * exportRate;
+        months.set(key, month);
+      });
+    });
+
+    const { balance, charged } = this._settleNetMeteringBank([...months.values()], nm.banking);
+    return {
+      balance,
+      charged,
+      lastTrueUp: start,
+      nextTrueUp: end,
+      // Energy left at the true-up is paid out at the surplus rate; money
+      // credit left then expires
+      payout: nm.banking === 'energy' ? balance * this._getNetMeteringRate(nm.surplus_rate) : 0
+    };
+  }
+
+  _settleNetMeteringBank(months, banking) {
+    // A month earning more export credit than its imports cost adds the
+    // difference to the bank, and later months draw on it before anything
+    // is charged. Energy banking carries kWh forward instead of money,
+    // charging what is left at the month's average import rate.
+    let balance = 0;
+    let charged = 0;
+    [...months].sort((a, b) => a.start - b.start).forEach(month => {
+      const net = banking === 'energy'
+        ? month.import - month.export
+        : month.importCost - month.exportCredit;
+      if (net < 0) {
+        balance -= net;
+        return;
+      }
+      const used = Math.min(balance, net);
+      balance -= used;
+      const importRate = month.import > 0 ? month.importCost / month.import : 0;
+      charged += (net - used) * (banking === 'energy' ? importRate : 1);
+    });
+    return { balance, charged };
+  }
+
+  _getNetMeteringRate(rate, fallback = null) {
+    // Rates are converted to currency per display unit like source rates
+    if (typeof rate === 'number') return rate * this._getNetMeteringRateScale(rate);
+    const value = rate ? this._getEntityNumber(rate) : undefined;
+    if (value !== undefined) return value * this._getNetMeteringRateScale(rate);
+    // An unavailable rate entity falls back to the given rate (the import
+    // rate, for exports), else to the static rate
+    if (fallback !== null) return fallback;
+    const rateStatic = this._config.net_metering.rate_static;
+    return typeof rateStatic === 'number' ? rateStatic * this._getNetMeteringRateScale(rateStatic) : 0;
+  }
+
+  _getBillingCycle(anchorDay, now = new Date()) {
+    // The cycle containing `now` that starts on anchorDay (clamped to the
+    // month's last day, so 31 means the end of short months)
+    const cycleStart = (year, month) =>
+      new Date(year, month, Math.min(anchorDay, new Date(year, month + 1, 0).getDate()));
+
+    let start = cycleStart(now.getFullYear(), now.getMonth());
+    if (start > now) start = cycleStart(now.getFullYear(), now.getMonth() - 1);
+    const end = cycleStart(start.getFullYear(), start.getMonth() + 1);
+
+    return { start, end };
+  }
+
+  _createEmptyData(startTime, endTime) {
+    return {
+      range: { start: startTime, end: endTime },
+      period: null,
+      energy: {},
+      hourly: {},
+      bySource: new Map(),
+      loaded: false
+    };
+  }
+
+  _getStatisticIds() {
+    const entityIds = [];
+
+    this._config.sources.forEach(source => {
+      if (source.entity) entityIds.push(source.entity);
+      if (source.cost_statistic) entityIds.push(source.cost_statistic);
+      if (source.calculate_from?.import) entityIds.push(source.calculate_from.import);
+      if (source.calculate_from?.export) entityIds.push(source.calculate_from.export);
+    });
+
+    if (this._config.net_metering) {
+      if (this._config.net_metering.import_entity) entityIds.push(this._config.net_metering.import_entity);
+      if (this._config.net_metering.export_entity) entityIds.push(this._config.net_metering.export_entity);
+    }
+
+    return [...new Set(entityIds.filter(Boolean))];
+  }
+
+  async _fetchData(startTime, endTime, rangeForAnchor = null) {
+    // Everything the rows need for one date range: the per-range energy
+    // totals plus the hourly series used for time-of-use pricing
+    const data = this._createEmptyData(startTime, endTime);
+    const entityIds = this._getStatisticIds();
+    const hasPower = this._config.sources.some(source => source.power_entity);
+    if (entityIds.length === 0 && !hasPower) return data;
+
+    data.period = this._getStatisticsPeriod(startTime, endTime);
+    // Start one bucket early so the first bucket has a sum to diff against
+    const statistics = entityIds.length > 0
+      ? await this._fetchStatistics(
+        entityIds, this._shiftDate(this._getBucketStart(startTime, data.period), data.period, -1), endTime, data.period
+      )
+      : {};
+    data.energy = this._processStatistics(statistics, startTime, endTime, data.period);
+    data.hourly = await this._fetchHourlyStatistics(startTime, endTime);
+    if (hasPower) this._addPowerData(data, await this._fetchPowerStatistics(startTime, endTime));
+    this._addLiveUsage(data, await this._getLiveUsage(entityIds, startTime, endTime));
+    data.loaded = true;
+
+    if (rangeForAnchor) {
+      data.cycleEnd = rangeForAnchor(this._config.billing_cycle.anchor_day).cycleEnd;
+
+      // Sources billed on their own cycle day get data for their own range
+      const anchors = new Set(this._config.sources
+        .map(source => source.billing_cycle_day)
+        .filter(day => day && day !== this._config.billing_cycle.anchor_day));
+      for (const anchor of anchors) {
+        const range = rangeForAnchor(anchor);
+        const sourceData = await this._fetchData(range.start, range.end);
+        sourceData.cycleEnd = range.cycleEnd;
+        this._config.sources
+          .filter(source => source.billing_cycle_day === anchor)
+          .forEach(source => data.bySource.set(source, sourceData));
+      }
+    }
+    return data;
+  }
+
+  async _fetchColumnData() {
+    // Each column is fetched on its own, so columns far apart (like today
+    // and this month last year) don't pull in everything between them.
+    // Columns on day boundaries can use daily buckets; rolling windows
+    // need hourly ones.
+    const entityIds = this._getStatisticIds();
+    return Promise.all(this._config.columns.map(async column => {
+      const range = this._getDateRangeForPeriod(column.period);
+      const start = new Date(range.start);
+      const end = new Date(range.end);
+      const period = this._getStatisticsPeriod(start, end) === 'hour' ? 'hour' : 'day';
+
+      // Start one bucket early so the column has a sum to diff against
+      const fetchStart = new Date(start.getTime() - (period === 'day' ? 24 : 1) * HOUR_MS);
+      const [statistics, weights, power] = await Promise.all([
+        entityIds.length > 0 ? this._fetchStatistics(entityIds, fetchStart, end, period, ['change', 'sum']) : {},
+        this._fetchHourlyStatistics(start, end),
+        this._fetchPowerStatistics(start, end)
+      ]);
+
+      const data = this._createEmptyData(start, end);
+      data.period = period;
+      if (column.period === 'billing_cycle') {
+        data.cycleEnd = this._getBillingCycle(this._config.billing_cycle?.anchor_day || 1).end;
+      }
+      data.energy = this._processStatistics(
+        this._sliceStatistics(statistics, start, end, true), start, end, period
+      );
+      data.hourly = this._sliceStatistics(weights, start, end, false);
+      this._addPowerData(data, power);
+      this._addLiveUsage(data, await this._getLiveUsage(entityIds, start, end));
+      data.loaded = true;
+      return data;
+    }));
+  }
+
+  async _getLiveUsage(entityIds, startTime, endTime) {
+    // Usage since the last compiled hour, which long-term statistics don't
+    // cover yet: from each entity's state against the last compiled state, or
+    // from 5-minute short-term statistics, plus power sources integrated from
+    // their 5-minute mean power. Only ranges running up to now.
+    const mode = this._config.live_update;
+    const now = Date.now();
+    if (!mode || startTime.getTime() > now || endTime.getTime() <= Math.floor(now / HOUR_MS) * HOUR_MS) {
+      return new Map();
+    }
+    const tailStart = new Date(Math.max(startTime.getTime(), this._getCompiledThrough(now)));
+
+    const [usage, power] = await Promise.all([
+      mode === 'short_term'
+        ? this._getShortTermUsage(entityIds, tailStart, now)
+        : this._getStateUsage(entityIds, startTime, now),
+      this._getLivePowerUsage(tailStart, now)
+    ]);
+    power.forEach((change, entityId) => usage.set(entityId, change));
+    return usage;
+  }
+
+  async _getShortTermUsage(entityIds, tailStart, now) {
+    const usage = new Map();
+    if (entityIds.length === 0) return usage;
+    const statistics = await this._fetchStatistics(entityIds, tailStart, new Date(now), '5minute', ['change']);
+    for (const [entityId, stats] of Object.entries(statistics)) {
+      if (!Array.isArray(stats)) continue;
+      const change = stats.reduce((sum, stat) => sum + (typeof stat.change === 'number' ? stat.change : 0), 0);
+      if (change !== 0) usage.set(entityId, change);
+    }
+    return usage;
+  }
+
+  async _getStateUsage(entityIds, startTime, now) {
+    // External statistics (like "sensor:x") have no entity
+    const usage = new Map();
+    const ids = entityIds.filter(id => this._hass.states?.[id]);
+    if (ids.length === 0) return usage;
+    const compiledThrough = this._getCompiledThrough(now);
+    const statistics = await this._fetchStatistics(
+      ids, new Date(compiledThrough - 2 * HOUR_MS), new Date(compiledThrough), 'hour', ['state', 'sum']
+    );
+    const displayUnits = this._getDisplayUnits();
+    for (const entityId of ids) {
+      const last = (statistics[entityId] || []).filter(stat => typeof stat.state === 'number').pop();
+      const entity = this._hass.states[entityId];
+      const current = parseFloat(entity.state);
+      // A last state from before the range would count earlier usage in it
+      if (!last || isNaN(current) || new Date(last.start).getTime() + HOUR_MS < startTime.getTime()) continue;
+
+      let change = current - last.state;
+      // Meters that count up restart from zero when they reset
+      if (change < 0 && entity.attributes?.state_class === 'total_increasing') change = current;
+      const display = displayUnits.get(entityId);
+      const factor = display
+        ? this._getConversionFactor(entity.attributes?.unit_of_measurement, display.unit, display.calorificValue)
+        : null;
+      if (change !== 0) usage.set(entityId, change * (factor ?? 1));
+    }
+    return usage;
+  }
+
+  async _getLivePowerUsage(tailStart, now) {
+    // Power sources have no meter reading to compare against, so their
+    // 5-minute mean power is integrated instead (1 kW for 5 minutes is
+    // 1/12 kWh)
+    const usage = new Map();
+    const sources = this._config.sources.filter(source => source.power_entity);
+    if (sources.length === 0) return usage;
+    const ids = [...new Set(sources.map(source => source.power_entity))];
+    const [statistics, units] = await Promise.all([
+      this._fetchStatistics(ids, tailStart, new Date(now), '5minute', ['mean']),
+      this._loadStatisticUnits(ids)
+    ]);
+
+    sources.forEach(source => {
+      const id = source.power_entity;
+      if (usage.has(id) || !Array.isArray(statistics[id])) return;
+      const factor = this._getPowerFactor(source, units) * FIVE_MINUTE_MS / HOUR_MS;
+      const change = statistics[id].reduce((sum, stat) => sum + (typeof stat.mean === 'number' ? stat.mean * factor : 0), 0);
+      if (change !== 0) usage.set(id, change);
+    });
+    return usage;
+  }
+
+  _addLiveUsage(data, usage) {
+    // Fold live usage into the totals, the chart's current bucket and the
+    // hourly series so time-of-use costs and emissions include it
+    if (usage.size === 0) return;
+    const hourStart = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const bucket = this._getBucketStart(new Date(hourStart), data.period);
+
+    data.hourly = { ...data.hourly };
+    for (const [entityId, change] of usage) {
+      console.debug(`[Energy Card] ${entityId}: adding ${change} live usage`);
+      const entry = data.energy[entityId] || (data.energy[entityId] = { value: 0, series: [] });
+      entry.value += change;
+      const last = entry.series[entry.series.length - 1];
+      if (last && last.start === bucket.getTime()) {
+        entry.series = [...entry.series.slice(0, -1), { start: last.start, change: last.change + change }];
+      } else {
+        entry.series = [...entry.series, { start: bucket.getTime(), change }];
+      }
+      // Cached statistics are shared, so the hourly series is copied
+      if (Array.isArray(data.hourly[entityId])) {
+        data.hourly[entityId] = [...data.hourly[entityId], { start: hourStart, change }];
+      }
+    }
+  }
+
+  _sliceStatistics(statistics, startTime, endTime, includePrevious) {
+    // Buckets starting inside the range, optionally with the bucket just
+    // before it so a sum difference covers the whole range
+    const sliced = {};
+    for (const [entityId, stats] of Object.entries(statistics || {})) {
+      if (!Array.isArray(stats)) continue;
+      const inside = [];
+      let previous = null;
+      for (const stat of stats) {
+        const start = new Date(stat.start).getTime();
+        if (start < startTime.getTime()) {
+          previous = stat;
+        } else if (start < endTime.getTime()) {
+          inside.push(stat);
+        }
+      }
+      sliced[entityId] = includePrevious && previous && inside.length > 0 ? [previous, ...inside] : inside;
+    }
+    return sliced;
+  }
+
+  _getCompareMode() {
+    // An explicit compare option wins; otherwise follow the Energy
+    // Dashboard's own compare toggle
+    if (this._config.compare) return this._config.compare;
+    return this._dashboardCompareRange ? 'dashboard' : 'none';
+  }
+
+  _getCompareRange(startTime, endTime) {
+    switch (this._getCompareMode()) {
+      case 'dashboard':
+        if (!this._dashboardCompareRange) return null;
+        return {
+          start: new Date(this._dashboardCompareRange.start),
+          end: new Date(this._dashboardCompareRange.end)
+        };
+      case 'previous_year':
+        return {
+          start: this._shiftDate(startTime, 'year', -1),
+          end: this._shiftDate(endTime, 'year', -1)
+        };
+      case 'previous_period': {
+        // Calendar periods (a day, week, month or year so far) compare with
+        // the same portion of the previous one; anything else with the
+        // window of equal length immediately before it
+        const unit = this._getCalendarUnit(startTime, endTime);
+        if (!unit) {
+          const duration = endTime - startTime;
+          return { start: new Date(startTime - duration), end: new Date(startTime) };
+        }
+        const end = this._shiftDate(endTime, unit, -1);
+        return {
+          start: this._shiftDate(startTime, unit, -1),
+          end: end > startTime ? new Date(startTime) : end
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  _getCalendarUnit(startTime, endTime) {
+    const isMidnight = startTime.getHours() === 0 && startTime.getMinutes() === 0;
+    if (!isMidnight) return null;
+
+    const year = startTime.getFullYear();
+    const month = startTime.getMonth();
+    const date = startTime.getDate();
+
+    if (endTime <= new Date(year, month, date + 1)) return 'day';
+    if (date === 1 && endTime <= new Date(year, month + 1, 1)) return 'month';
+    if (date === 1 && month === 0 && endTime <= new Date(year + 1, 0, 1)) return 'year';
+    // A week in progress compares with the same weekdays of the week before
+    if (endTime <= new Date(year, month, date + 7) && endTime >= Date.now() - 60 * 1000) return 'week';
+    return null;
+  }
+
+  _shiftDate(date, unit, amount) {
+    const shifted = new Date(date);
+    switch (unit) {
+      case 'hour':
+        shifted.setTime(shifted.getTime() + amount * HOUR_MS);
+        break;
+      case 'day':
+        shifted.setDate(shifted.getDate() + amount);
+        break;
+      case 'week':
+        shifted.setDate(shifted.getDate() + amount * 7);
+        break;
+      case 'month':
+      case 'year': {
+        // Clamp to the last day of the target month (31 Mar -> 28 Feb)
+        const months = unit === 'month' ? amount : amount * 12;
+        const target = new Date(shifted.getFullYear(), shifted.getMonth() + months + 1, 0);
+        shifted.setFullYear(target.getFullYear(), target.getMonth(), Math.min(shifted.getDate(), target.getDate()));
+        break;
+      }
+    }
+    return shifted;
+  }
+
+  async _fetchPowerStatistics(startTime, endTime) {
+    // Hourly energy for power_entity sources: an hour's mean power is the
+    // energy used in it (1 kW for an hour is 1 kWh), converted to the
+    // source's unit
+    const sources = this._config.sources.filter(source => source.power_entity);
+    if (sources.length === 0) return {};
+    const ids = [...new Set(sources.map(source => source.power_entity))];
+    const [statistics, units] = await Promise.all([
+      this._fetchStatistics(ids, this._getBucketStart(startTime, 'hour'), endTime, 'hour', ['mean']),
+      this._loadStatisticUnits(ids)
+    ]);
+
+    const energy = {};
+    sources.forEach(source => {
+      const id = source.power_entity;
+      if (energy[id] || !Array.isArray(statistics[id])) return;
+      const factor = this._getPowerFactor(source, units);
+      energy[id] = statistics[id]
+        .filter(stat => typeof stat.mean === 'number')
+        .map(stat => ({ start: stat.start, change: stat.mean * factor }));
+    });
+    return energy;
+  }
+
+  _getPowerFactor(source, units) {
+    // Energy in the source's unit from an hour at the power entity's mean
+    const id = source.power_entity;
+    const unit = units.get(id) || this._hass.states?.[id]?.attributes?.unit_of_measurement || 'W';
+    if (POWER_UNITS[unit] === undefined) {
+      console.debug(`[Energy Card] ${id}: unknown power unit ${unit}, assuming W`);
+    }
+    return (POWER_UNITS[unit] ?? POWER_UNITS.W)
+      * (this._getConversionFactor('kWh', source.unit, source.calorific_value) ?? 1);
+  }
+
+  _addPowerData(data, power) {
+    // Integrated power is processed like any energy statistic, then its
+    // hours are added up into the range's chart buckets
+    const hours = this._sliceStatistics(power, this._getBucketStart(data.range.start, 'hour'), data.range.end, false);
+    const energy = this._processStatistics(hours, data.range.start, data.range.end, 'hour');
+    for (const [id, entry] of Object.entries(energy)) {
+      if (data.period !== 'hour') {
+        const buckets = new Map();
+        entry.series.forEach(({ start, change }) => {
+          const bucket = this._getBucketStart(new Date(start), data.period).getTime();
+          buckets.set(bucket, (buckets.get(bucket) || 0) + change);
+        });
+        entry.series = [...buckets].map(([start, change]) => ({ start, change }));
+      }
+      data.energy[id] = entry;
+    }
+    // Hourly energy for time-of-use pricing and emissions
+    data.hourly = { ...data.hourly, ...hours };
+  }
+
+  _getBucketStart(time, period) {
+    // Start of the statistics bucket containing `time`: hours are whole
+    // UTC hours, days and months start at local midnight
+    if (period === 'hour') return new Date(Math.floor(new Date(time).getTime() / HOUR_MS) * HOUR_MS);
+    const bucket = new Date(time);
+    bucket.setHours(0, 0, 0, 0);
+    if (period === 'month') bucket.setDate(1);
+    return bucket;
+  }
+
+  _getStatisticsPeriod(startTime, endTime) {
+    // Calculate appropriate period based on time span (like energy-flow-card-plus).
+    // Day and month buckets only fit ranges on their boundaries: a rolling
+    // window starting at 16:27 would otherwise count from midnight
+    const diffHours = (endTime - startTime) / (1000 * 60 * 60);
+    if (diffHours > 35 * 24 && this._isBucketAligned(startTime, endTime, 'month')) return 'month';
+    if (diffHours > 48 && this._isBucketAligned(startTime, endTime, 'day')) return 'day';
+    return 'hour';
+  }
+
+  _isBucketAligned(startTime, endTime, period) {
+    // The range starts on a bucket boundary and ends on one, or in the
+    // bucket still in progress
+    const onBoundary = time => this._getBucketStart(time, period).getTime() === new Date(time).getTime();
+    return onBoundary(startTime)
+      && (onBoundary(endTime) || this._getBucketStart(endTime, period) >= this._getBucketStart(new Date(), period));
+  }
+
+  async _fetchStatistics(entityIds, startTime, endTime, period = null, types = null) {
+    if (!this._hass?.callWS) return {};
+
+    period = period || this._getStatisticsPeriod(startTime, endTime);
+
+    // Rounding the start down to the start of its bucket (local midnight for
+    // days and months) and the end up to the next hour, or 5 minutes for
+    // short-term statistics, returns the same buckets and lets repeated
+    // requests share a cache entry
+    const step = period === '5minute' ? FIVE_MINUTE_MS : HOUR_MS;
+    startTime = period === '5minute'
+      ? new Date(Math.floor(startTime.getTime() / step) * step)
+      : this._getBucketStart(startTime, period);
+    endTime = new Date(Math.ceil(endTime.getTime() / step) * step);
+    const key = JSON.stringify([entityIds, startTime.getTime(), endTime.getTime(), period, types]);
+    const cached = this._statisticsCache.get(key);
+    if (cached && this._isCacheValid(cached)) {
+      // Re-insert so the least recently used entries are evicted first
+      this._statisticsCache.delete(key);
+      this._statisticsCache.set(key, cached);
+      return cached.result;
+    }
+
+    // Concurrent identical requests share the pending result
+    const entry = { end: endTime.getTime(), step, fetchedAt: Date.now(), result: null };
+    entry.result = this._requestStatistics(entityIds, startTime, endTime, period, types)
+      .catch(e => {
+        this._statisticsCache.delete(key);
+        throw e;
+      });
+    this._statisticsCache.set(key, entry);
+    for (const [cachedKey, cachedEntry] of this._statisticsCache) {
+      if (!this._isCacheValid(cachedEntry)) this._statisticsCache.delete(cachedKey);
+    }
+    // Completed ranges stay valid, so cap how many are kept
+    for (const cachedKey of this._statisticsCache.keys()) {
+      if (this._statisticsCache.size <= STATISTICS_CACHE_SIZE) break;
+      this._statisticsCache.delete(cachedKey);
+    }
+
+    try {
+      return await entry.result;
+    } catch (e) {
+      console.error('Statistics fetch failed:', e);
+      return {};
+    }
+  }
+
+  async _requestStatistics(entityIds, startTime, endTime, period, types) {
+    const units = await this._loadStatisticUnits(entityIds);
+    console.debug(`[Energy Card] Fetching statistics from ${startTime.toISOString()} to ${endTime.toISOString()} with period: ${period}`);
+    const message = {
+      type: 'recorder/statistics_during_period',
+      start_time: startTime.toISOString(),
+      end_time: endTime.toISOString(),
+      statistic_ids: entityIds,
+      period: period,
+    };
+    if (types) message.types = types;
+    return this._convertStatistics(await this._hass.callWS(message), units);
+  }
+
+  async _loadStatisticUnits(entityIds) {
+    // Recorded unit of each statistic, looked up once per statistic id;
+    // concurrent fetches share the pending lookup. A failed lookup is not
+    // kept, and fails the fetch rather than caching unconverted values
+    const missing = entityIds.filter(id => !this._statisticUnits.has(id));
+    if (missing.length > 0) {
+      const request = Promise.resolve()
+        .then(() => this._hass.callWS({ type: 'recorder/get_statistics_metadata', statistic_ids: missing }))
+        .then(metadata => new Map((Array.isArray(metadata) ? metadata : []).map(entry =>
+          [entry.statistic_id, entry.statistics_unit_of_measurement || null])));
+      const lookups = missing.map(id => request.then(units => units.get(id) || null));
+      missing.forEach((id, index) => this._statisticUnits.set(id, lookups[index]));
+      request.catch(e => {
+        console.debug('[Energy Card] Statistics metadata unavailable:', e);
+        missing.forEach((id, index) => {
+          if (this._statisticUnits.get(id) === lookups[index]) this._statisticUnits.delete(id);
+        });
+      });
+    }
+
+    const units = await Promise.all(entityIds.map(id => this._statisticUnits.get(id)));
+    return new Map(entityIds.map((id, index) => [id, units[index]]));
+  }
+
+  _getDisplayUnits() {
+    // The unit each energy statistic is shown in, from the source using it
+    const units = new Map();
+    const add = (entityId, unit, calorificValue = null) => {
+      if (entityId && !units.has(entityId)) units.set(entityId, { unit, calorificValue });
+    };
+    this._config.sources.forEach(source => {
+      add(source.entity, source.unit, source.calorific_value);
+      add(source.calculate_from?.import, source.unit, source.calorific_value);
+      add(source.calculate_from?.export, source.unit, source.calorific_value);
+    });
+    if (this._config.net_metering) {
+      const nm = this._config.net_metering;
+      add(nm.import_entity, nm.unit || 'kWh');
+      add(nm.export_entity, nm.unit || 'kWh');
+    }
+    return units;
+  }
+
+  _resolveUnit(unit) {
+    if (!unit) return null;
+    const name = String(unit).trim();
+    if (UNIT_CONVERSIONS[name]) return name;
+    const lower = name.toLowerCase();
+    return UNIT_ALIASES[lower]
+      || Object.keys(UNIT_CONVERSIONS).find(key => key.toLowerCase() === lower)
+      || null;
+  }
+
+  _getConversionFactor(from, to, calorificValue = null) {
+    // Multiplier taking an amount in `from` to `to`, or null if unknown
+    const source = UNIT_CONVERSIONS[this._resolveUnit(from)];
+    const target = UNIT_CONVERSIONS[this._resolveUnit(to)];
+    if (!source || !target) return null;
+    if (source.kind === target.kind) return source.factor / target.factor;
+    if (!(calorificValue > 0)) return null;
+    // calorific_value is kWh per m³
+    return source.kind === 'volume'
+      ? source.factor * calorificValue / target.factor
+      : source.factor / calorificValue / target.factor;
+  }
+
+  _convertStatistics(statistics, units) {
+    // Scale sums and changes from each statistic's recorded unit to the
+    // unit it is displayed in; rate and intensity means are left alone
+    const displayUnits = this._getDisplayUnits();
+    const converted = {};
+    for (const [entityId, stats] of Object.entries(statistics || {})) {
+      const recorded = units.get(entityId);
+      const display = displayUnits.get(entityId);
+      const factor = recorded && display
+        ? this._getConversionFactor(recorded, display.unit, display.calorificValue)
+        : null;
+
+      if (recorded && display && factor === null) {
+        console.debug(`[Energy Card] Cannot convert ${entityId} from ${recorded} to ${display.unit}`);
+      }
+      if (factor === null || factor === 1 || !Array.isArray(stats)) {
+        converted[entityId] = stats;
+        continue;
+      }
+
+      converted[entityId] = stats.map(stat => ({
+        ...stat,
+        ...(typeof stat.sum === 'number' && { sum: stat.sum * factor }),
+        ...(typeof stat.change === 'number' && { change: stat.change * factor })
+      }));
+    }
+    return converted;
+  }
+
+  _getRateUnit(rateUnit, rateEntity, fromEntity) {
+    // Rates are per rate_unit when declared; rates read from a rate entity
+    // are otherwise per the entity's own unit (like "EUR/kWh" or "¢/kWh").
+    // Tiers and static rates without a rate_unit are per display unit.
+    if (rateUnit) return rateUnit;
+    return fromEntity ? this._hass?.states?.[rateEntity]?.attributes?.unit_of_measurement || null : null;
+  }
+
+  _getRateScale(source, fromEntity = true) {
+    // Converts a source's rate to currency per display unit
+    return this._convertRateUnit(
+      this._getRateUnit(source.rate_unit, source.rate_entity, fromEntity),
+      source.unit, source.calorific_value, source.label
+    );
+  }
+
+  _getNetMeteringRateScale(rate) {
+    // As for sources, for a net metering rate (an entity id or a number)
+    const nm = this._config.net_metering;
+    return this._convertRateUnit(
+      this._getRateUnit(nm.rate_unit, rate, typeof rate === 'string'),
+      nm.unit || 'kWh', nm.calorific_value, nm.label || 'net metering'
+    );
+  }
+
+  _convertRateUnit(declared, displayUnit, calorificValue, label) {
+    if (!declared || !declared.includes('/')) return 1;
+
+    const [currency, unit] = declared.split('/').map(part => part.trim());
+    let scale = CENT_UNITS.includes(currency.toLowerCase()) ? 0.01 : 1;
+    const factor = this._getConversionFactor(displayUnit, unit, calorificValue);
+    if (factor !== null) {
+      scale *= factor;
+    } else if (this._resolveUnit(unit) !== this._resolveUnit(displayUnit)) {
+      console.debug(`[Energy Card] Cannot convert rate from ${declared} to per ${displayUnit} for "${label}"`);
+    }
+    return scale;
+  }
+
+  async _fetchHourlyStatistics(startTime, endTime) {
+    // Sources priced from a rate entity (or weighted by a carbon intensity
+    // entity) need hourly energy paired with the rate or intensity in force
+    // during each hour, not the one right now
+    const entityIds = [];
+    this._config.sources.forEach(source => {
+      const weights = [];
+      if (source.show_cost && !source.cost_statistic && source.rate_entity && source.rate_mode !== 'current') {
+        weights.push(source.rate_entity);
+      }
+      if (source.co2_intensity_entity) weights.push(source.co2_intensity_entity);
+      if (weights.length === 0) return;
+
+      entityIds.push(...weights);
+      if (source.entity) entityIds.push(source.entity);
+      if (source.calculate_from?.import) entityIds.push(source.calculate_from.import);
+      if (source.calculate_from?.export) entityIds.push(source.calculate_from.export);
+    });
+    if (entityIds.length === 0) return {};
+
+    return this._fetchStatistics(
+      [...new Set(entityIds.filter(Boolean))], new Date(startTime.getTime() - HOUR_MS), endTime, 'hour', ['change', 'sum', 'mean']
+    );
+  }
+
+  _processStatistics(statistics, startTime = null, endTime = null, period = 'hour') {
+    // Each statistic's value is the sum of its bucket changes in the range,
+    // never a raw sum (which can be the meter's lifetime total). A drop on a
+    // total_increasing meter is a reset: it is left out and flagged.
+    const data = {};
+    const from = startTime ? this._getBucketStart(startTime, period).getTime() : null;
+    const until = endTime ? Math.min(endTime.getTime(), this._getCompiledThrough()) : null;
+
+    for (const [entityId, stats] of Object.entries(statistics || {})) {
+      const changes = this._getChanges(Array.isArray(stats) ? stats : [], from);
+      const countsResets = this._countsResets(entityId);
+      let value = 0;
+      const series = [];
+      const resets = [];
+      changes.forEach((change, start) => {
+        if (change < 0 && countsResets) {
+          resets.push({ start, change });
+          return;
+        }
+        value += change;
+        series.push({ start, change });
+      });
+      const missingHours = from !== null && until !== null
+        ? this._getMissingHours(changes, startTime, until, period)
+        : 0;
+
+      console.debug(`[Energy Card] ${entityId}: ${changes.size} buckets, value: ${value}, resets: ${resets.length}, missing hours: ${missingHours}`);
+      data[entityId] = { value, series, resets, missingHours };
+    }
+
+    return data;
+  }
+
+  _getMissingHours(changes, startTime, until, period) {
+    // Hours of the range, up to the last compiled hour, in buckets that
+    // have no change
+    const starts = [...changes.keys()].sort((a, b) => a - b);
+    let missing = 0;
+    let index = 0;
+    for (let bucket = this._getBucketStart(startTime, period); bucket.getTime() < until;) {
+      const next = this._shiftDate(bucket, period, 1);
+      while (index < starts.length && starts[index] < bucket.getTime()) index++;
+      if (!(index < starts.length && starts[index] < next.getTime())) {
+        missing += Math.min(next.getTime(), until) - Math.max(bucket.getTime(), startTime.getTime());
+      }
+      bucket = next;
+    }
+    return Math.round(missing / HOUR_MS);
+  }
+
+  _countsResets(entityId) {
+    // Only a total_increasing sensor resets when it drops; any other
+    // statistic (a bidirectional meter, a cost, power or an external
+    // statistic without an entity) really went down
+    return this._hass?.states?.[entityId]?.attributes?.state_class === 'total_increasing';
+  }
+
+  _getDataQuality(source, data) {
+    // Missing hours and meter resets in the statistics behind a row
+    if (source.untracked_of || this._isGroupOnly(source)) {
+      const parts = [...(source.untracked_of ? [source.untracked_of] : []), ...(source.untracked_of || source).children]
+        .map(part => this._getDataQuality(part, data));
+      return {
+        missingHours: Math.max(0, ...parts.map(part => part.missingHours)),
+        resets: parts.reduce((sum, part) => sum + part.resets, 0)
+      };
+    }
+
+    const quality = { missingHours: 0, resets: 0 };
+    if (!data.loaded) return quality;
+    const ids = source.calculate_from
+      ? [source.calculate_from.import, source.calculate_from.export]
+      : [this._getEnergyId(source)];
+    if (source.show_cost && source.cost_statistic) ids.push(source.cost_statistic);
+
+    const until = Math.min(data.range.end.getTime(), this._getCompiledThrough());
+    ids.filter(Boolean).forEach(id => {
+      const entry = data.energy[id];
+      // A statistic with nothing recorded in the range is missing throughout
+      const missingHours = entry?.missingHours
+        ?? (entry ? 0 : this._getMissingHours(new Map(), data.range.start, until, data.period));
+      quality.missingHours = Math.max(quality.missingHours, missingHours);
+      quality.resets += entry?.resets?.length || 0;
+    });
+    return quality;
+  }
+
+  _describeDataQuality(quality) {
+    const parts = [];
+    if (quality.missingHours > 0) parts.push(`${quality.missingHours}h missing`);
+    if (quality.resets > 0) parts.push(`${quality.resets} meter reset${quality.resets === 1 ? '' : 's'} ignored`);
+    return parts.join(' · ');
+  }
+
+  _getHourlyChanges(entityId, data) {
+    const stats = data.hourly[entityId];
+    if (!Array.isArray(stats)) return null;
+    // The hour before the range is only a baseline; resets count as zero
+    const changes = this._getChanges(stats, this._getBucketStart(data.range.start, 'hour').getTime());
+    if (this._countsResets(entityId)) {
+      changes.forEach((change, start) => {
+        if (change < 0) changes.delete(start);
+      });
+    }
+    return changes;
+  }
+
+  _getChanges(stats, from = null) {
+    // Map of bucket start (ms) to change, derived from consecutive sums
+    // when the recorder did not return change values. Buckets starting
+    // before `from` only provide the sum the first change is measured from.
+    const changes = new Map();
+    let previousSum = null;
+    for (const stat of stats) {
+      const start = new Date(stat.start).getTime();
+      if (from === null || start >= from) {
+        if (typeof stat.change === 'number') {
+          changes.set(start, stat.change);
+        } else if (typeof stat.sum === 'number' && previousSum !== null) {
+          changes.set(start, stat.sum - previousSum);
+        }
+      }
+      if (typeof stat.sum === 'number') previousSum = stat.sum;
+    }
+    return changes;
+  }
+
+  _getRateAt(rates, start) {
+    // Rates are sorted by start; use the hour's mean, or carry the last known
+    // rate forward across gaps (and the first known rate back before it)
+    let rate = rates[0].mean;
+    for (const entry of rates) {
+      if (entry.start > start) break;
+      rate = entry.mean;
+    }
+    return rate;
+  }
+
+  _calculateTimeOfUseCost(source, data) {
+    return this._calculateHourlyWeighted(source, source.rate_entity, data);
+  }
+
+  _calculateHourlyWeighted(source, weightEntity, data) {
+    // Sum of each hour's energy times the weight entity's mean for that hour
+    const weightStats = data.hourly[weightEntity];
+    if (!Array.isArray(weightStats)) return null;
+
+    const rates = weightStats
+      .filter(stat => typeof stat.mean === 'number')
+      .map(stat => ({ start: new Date(stat.start).getTime(), mean: stat.mean }))
+      .sort((a, b) => a.start - b.start);
+    if (rates.length === 0) return null;
+
+    let energy;
+    if (source.calculate_from) {
+      const imports = this._getHourlyChanges(source.calculate_from.import, data) || new Map();
+      const exports = this._getHourlyChanges(source.calculate_from.export, data) || new Map();
+      energy = new Map(imports);
+      exports.forEach((change, start) => energy.set(start, (energy.get(start) || 0) - change));
+    } else {
+      energy = this._getHourlyChanges(this._getEnergyId(source), data);
+    }
+    if (!energy) return null;
+
+    let total = 0;
+    energy.forEach((change, start) => {
+      total += change * this._getRateAt(rates, start);
+    });
+    return total;
+  }
+
+  _calculateEmissions(source, value, data) {
+    // kg CO2e for the range, from hourly intensity statistics when available,
+    // else the intensity entity's current state, else the static factor
+    let emissions = null;
+
+    if (source.co2_intensity_entity) {
+      const toKg = this._getIntensityScale(source);
+      const weighted = this._calculateHourlyWeighted(source, source.co2_intensity_entity, data);
+      if (weighted !== null) {
+        emissions = weighted * toKg;
+      } else {
+        const intensity = this._getEntityNumber(source.co2_intensity_entity);
+        if (intensity !== undefined) emissions = value * intensity * toKg;
+      }
+    }
+
+    if (emissions === null && typeof source.emission_factor === 'number') {
+      emissions = value * source.emission_factor;
+    }
+
+    return emissions;
+  }
+
+  _getIntensityScale(source) {
+    // Intensity sensors (e.g. CO2 Signal) report g/kWh unless they say kg;
+    // convert them to kg per display unit
+    const declared = this._hass?.states?.[source.co2_intensity_entity]?.attributes?.unit_of_measurement || '';
+    const [mass, unit] = declared.split('/').map(part => part.trim());
+    const scale = mass.toLowerCase().startsWith('kg') ? 1 : 1 / 1000;
+    const factor = this._getConversionFactor(source.unit, unit || 'kWh', source.calorific_value);
+    return factor === null ? scale : scale * factor;
+  }
+
+  _getValue(source, data) {
+    if (source.untracked_of) {
+      return source.untracked_of.children.reduce((value, child) => value - this._getValue(child, data), this._getValue(source.untracked_of, data));
+    }
+    if (this._isGroupOnly(source)) {
+      return source.children.reduce((value, child) => value + this._getValue(child, data), 0);
+    }
+    if (source.calculate_from) {
+      const importVal = data.energy[source.calculate_from.import]?.value || 0;
+      const exportVal = data.energy[source.calculate_from.export]?.value || 0;
+      return importVal - exportVal;
+    }
+    return data.energy[this._getEnergyId(source)]?.value || 0;
+  }
+
+  _getEnergyId(source) {
+    // The statistic a single-entity source's energy is stored under
+    return source.entity || source.power_entity;
+  }
+
+  _getSeries(source, data) {
+    if (source.untracked_of || this._isGroupOnly(source)) {
+      // Parent minus its children, or the sum of a group's children
+      const series = new Map();
+      const add = (buckets, sign) => buckets.forEach(bucket =>
+        series.set(bucket.start, (series.get(bucket.start) || 0) + sign * bucket.change));
+      if (source.untracked_of) add(this._getSeries(source.untracked_of, data), 1);
+      (source.untracked_of || source).children.forEach(child => add(this._getSeries(child, data), source.untracked_of ? -1 : 1));
+      return [...series].sort((a, b) => a[0] - b[0]).map(([start, change]) => ({ start, change }));
+    }
+    if (source.calculate_from) {
+      const series = new Map();
+      (data.energy[source.calculate_from.import]?.series || []).forEach(bucket =>
+        series.set(bucket.start, bucket.change));
+      (data.energy[source.calculate_from.export]?.series || []).forEach(bucket =>
+        series.set(bucket.start, (series.get(bucket.start) || 0) - bucket.change));
+      return [...series].sort((a, b) => a[0] - b[0]).map(([start, change]) => ({ start, change }));
+    }
+    return data.energy[this._getEnergyId(source)]?.series || [];
+  }
+
+  _calculateCost(source, value, data) {
+    if (!source.show_cost) return null;
+
+    // A recorded cost statistic (like the Energy Dashboard's own) is
+    // authoritative: report its change over the range as the cost
+    if (source.cost_statistic) {
+      const costData = data.energy[source.cost_statistic];
+      if (!costData) return null;
+      this._costDetails.set(source, { method: 'statistic', rate: null });
+      return source.invert_cost ? -costData.value : costData.value;
+    }
+
+    let rate = null;
+    let rateSource = 'none';
+
+    // Block tariffs price the period total tier by tier, again expressed as
+    // an effective average rate
+    if (source.tiers.length > 0) {
+      rate = value !== 0 ? this._calculateTieredCost(source, value, data) / value : source.tiers[0].rate;
+      rateSource = 'tiers';
+    }
+
+    // Price each hour at the rate recorded for it, expressed as the
+    // effective average rate so formulas keep working with value * rate
+    if (rate === null && source.rate_entity && source.rate_mode !== 'current' && value !== 0) {
+      const touCost = this._calculateTimeOfUseCost(source, data);
+      if (touCost !== null) {
+        rate = touCost / value;
+        rateSource = 'history';
+      }
+    }
+
+    // Otherwise get rate from the entity's current state
+    if (rate === null && source.rate_entity) {
+      const entityState = this._hass?.states?.[source.rate_entity];
+      if (entityState) {
+        const parsedRate = parseFloat(entityState.state);
+        if (!isNaN(parsedRate)) {
+          rate = parsedRate;
+          rateSource = 'entity';
+        } else {
+          console.debug(`[Energy Card] Rate entity "${source.rate_entity}" has non-numeric state: "${entityState.state}"`);
+        }
+      } else {
+        console.debug(`[Energy Card] Rate entity "${source.rate_entity}" not found in Home Assistant states`);
+      }
+    }
+
+    // Fall back to static rate
+    if (rate === null && typeof source.rate_static === 'number') {
+      rate = source.rate_static;
+      rateSource = 'static';
+    }
+
+    // If still no rate, default to 0 but log it
+    if (rate === null) {
+      if (source.rate_entity || source.rate_static !== null) {
+        console.debug(`[Energy Card] No valid rate found for "${source.label}", using 0`);
+      }
+      rate = 0;
+    }
+
+    // Express the rate per display unit in the main currency unit
+    rate *= this._getRateScale(source, rateSource === 'history' || rateSource === 'entity');
+    this._costDetails.set(source, { method: rateSource, formula: Boolean(source.cost_formula), rate });
+
+    if (source.cost_formula) {
+      try {
+        const result = this._evaluateFormula(source, { value, rate }, data);
+        return source.invert_cost ? -result : result;
+      } catch (e) {
+        console.error(`[Energy Card] Cost formula error for "${source.label}":`, e);
+        this._setFormulaError(source, data, e);
+        return null;
+      }
+    }
+
+    const cost = value * rate;
+    return source.invert_cost ? -cost : cost;
+  }
+
+  _hasRateHistory(source, data) {
+    if (source.rate_mode === 'current') return false;
+    const rateStats = data.hourly[source.rate_entity];
+    return Array.isArray(rateStats) && rateStats.some(stat => typeof stat.mean === 'number');
+  }
+
+  _getTierScale(source, data) {
+    // Tier thresholds are defined per tier_period; scale them to the
+    // selected period (e.g. a monthly allowance over one week)
+    if (!BILLING_PERIODS.includes(source.tier_period)) return 1;
+    return this._getPeriodCount(data, source.tier_period);
+  }
+
+  _calculateTieredCost(source, value, data) {
+    const scale = this._getTierScale(source, data);
+    const amount = Math.abs(value);
+    let remaining = amount;
+    let lower = 0;
+    let cost = 0;
+
+    for (const tier of source.tiers) {
+      const upper = typeof tier.up_to === 'number' ? tier.up_to * scale : Infinity;
+      const inTier = Math.min(remaining, Math.max(0, upper - lower));
+      cost += inTier * tier.rate;
+      remaining -= inTier;
+      lower = upper;
+      if (remaining <= 0) break;
+    }
+
+    // Anything beyond the last bounded tier stays at the last tier's rate
+    if (remaining > 0) {
+      cost += remaining * source.tiers[source.tiers.length - 1].rate;
+    }
+
+    return value < 0 ? -cost : cost;
+  }
+
+  _computeSummary(data) {
+    // Raw per-source values and costs for one date range; render() formats
+    // these, and compare mode computes a second summary for the earlier range
+    // Every priced row (and the net metering row) as a cost entry that the
+    // configured total rows pick from by type or source
+    const costs = [];
+    let hasAnyCost = false;
+    const emissions = { emitted: 0, avoided: 0, hasEmissions: false };
+
+    // Rows are computed on demand so groups can add up their children and
+    // children can be priced from their parent
+    const computed = new Map();
+    const computeRow = source => {
+      if (computed.has(source)) return computed.get(source);
+
+      // Sources on their own billing cycle day carry their own dataset
+      const sourceData = data.bySource?.get(source) || data;
+      const value = this._getValue(source, sourceData);
+      const cost = this._calculateRowCost(source, value, sourceData, computeRow);
+      const charges = cost !== null && !isNaN(cost) ? this._calculateCharges(source, cost, sourceData) : [];
+
+      let rowEmissions = this._calculateEmissions(source, value, sourceData);
+      if (rowEmissions === null && this._isGroupOnly(source)) {
+        const childEmissions = source.children.map(child => computeRow(child).emissions).filter(e => e !== null);
+        if (childEmissions.length > 0) rowEmissions = childEmissions.reduce((sum, e) => sum + e, 0);
+      }
+
+      const row = { source, value, cost, charges, emissions: rowEmissions, quality: this._getDataQuality(source, sourceData) };
+      computed.set(source, row);
+      return row;
+    };
+
+    const rows = this._config.sources.map(source => {
+      const row = computeRow(source);
+
+      // Children are already part of their parent's cost and emissions
+      if (!source.parent) {
+        if (row.cost !== null && !isNaN(row.cost)) {
+          const total = row.charges.reduce((sum, charge) => sum + charge.amount, row.cost);
+          costs.push({ type: source.type, entity: source.entity, label: source.label, amount: total });
+          hasAnyCost = true;
+        }
+        if (row.emissions !== null) {
+          emissions[source.avoided_emissions ? 'avoided' : 'emitted'] += row.emissions;
+          emissions.hasEmissions = true;
+        }
+      }
+
+      return source.hide_if_zero && row.value === 0 ? null : row;
+    }).filter(Boolean);
+
+    let netMetering = null;
+    if (this._config.net_metering) {
+      const nm = this._config.net_metering;
+      const importVal = data.energy[nm.import_entity]?.value || 0;
+      const exportVal = data.energy[nm.export_entity]?.value || 0;
+      const netValue = importVal - exportVal;
+
+      // Imports are charged at the import rate and exports credited at the
+      // export rate (the same rate unless set separately)
+      const importRate = this._getNetMeteringRate(nm.import_rate);
+      const exportRate = this._getNetMeteringRate(nm.export_rate, importRate);
+      const importCost = importVal * importRate;
+      const exportCredit = exportVal * exportRate;
+      const cost = importCost - exportCredit;
+      costs.push({ type: 'net_metering', entity: null, label: nm.label || 'Grid Net (Metered)', amount: cost });
+      hasAnyCost = true;
+
+      netMetering = { value: netValue, cost, importVal, exportVal, importRate, exportRate, importCost, exportCredit };
+    }
+
+    // Every computed row, hidden ones included, for the details dialog
+    return { rows, computed, netMetering, costs, hasAnyCost, emissions };
+  }
+
+  _calculateRowCost(source, value, data, computeRow) {
+    if (!source.show_cost) return null;
+    const isCost = cost => cost !== null && !isNaN(cost);
+
+    // What the parent's meter shows beyond its children
+    if (source.untracked_of) {
+      const parent = computeRow(source.untracked_of);
+      if (!isCost(parent.cost)) return null;
+      return source.untracked_of.children.reduce((cost, child) => {
+        const childCost = computeRow(child).cost;
+        return isCost(childCost) ? cost - childCost : cost;
+      }, parent.cost);
+    }
+
+    if (this._isGroupOnly(source)) {
+      const childCosts = source.children.map(child => computeRow(child).cost).filter(isCost);
+      return childCosts.length > 0 ? childCosts.reduce((sum, cost) => sum + cost, 0) : null;
+    }
+
+    // A share of the parent's cost at its effective average rate
+    if (source.allocate_cost) {
+      const parent = computeRow(source.parent);
+      if (!isCost(parent.cost) || parent.value === 0) return null;
+      return value * parent.cost / parent.value;
+    }
+
+    return this._calculateCost(source, value, data);
+  }
+
+  _calculateKpis(data) {
+    // Energy balance from every source of each type, hidden rows included
+    const totals = { solar: 0, grid_import: 0, grid_export: 0, battery_in: 0, battery_out: 0 };
+    this._config.sources.forEach(source => {
+      if (source.parent) return;
+      if (totals[source.type] !== undefined) totals[source.type] += this._getValue(source, data);
+    });
+
+    const consumption = totals.solar + totals.grid_import + totals.battery_out
+      - totals.grid_export - totals.battery_in;
+    const percent = (numerator, denominator) => denominator > 0
+      ? Math.min(100, Math.max(0, numerator / denominator * 100))
+      : null;
+
+    return {
+      home_consumption: consumption,
+      self_sufficiency: percent(consumption - totals.grid_import, consumption),
+      self_consumption: percent(totals.solar - totals.grid_export, totals.solar),
+      solar_fraction: percent(totals.solar - totals.grid_export, consumption),
+      battery_efficiency: totals.battery_in > 0 ? totals.battery_out / totals.battery_in * 100 : null
+    };
+  }
+
+  _renderKpis(data) {
+    if (this._config.kpis.length === 0) return '';
+
+    const values = this._calculateKpis(data);
+    const kpis = this._config.kpis.map(kpi => {
+      const value = values[kpi.type];
+      const percent = KPI_TYPES[kpi.type].percent;
+      return {
+        ...kpi,
+        value,
+        percent,
+        formatted: value === null ? '—'
+          : percent ? `${this._formatNumber(value, 0)}%`
+          : `${this._formatNumber(value, this._config.decimal_places)} kWh`
+      };
+    });
+
+    const rows = kpis.filter(kpi => kpi.display === 'row').map(kpi => `
+      <div class="energy-row kpi-row">
+        <div class="source-info">
+          <span class="emoji">${kpi.emoji}</span>
+          <span class="label">${kpi.label}</span>
+        </div>
+        <div class="values">
+          <span class="value">${kpi.formatted}</span>
+        </div>
+      </div>
+    `).join('');
+
+    // Badges draw a ring filled to the percentage (full for non-percentages)
+    const circumference = 2 * Math.PI * 20;
+    const badges = kpis.filter(kpi => kpi.display === 'badge').map(kpi => {
+      const fill = kpi.value === null ? 0 : kpi.percent ? Math.min(kpi.value, 100) / 100 : 1;
+      return `
+        <div class="kpi-badge" title="${kpi.label}: ${kpi.formatted}">
+          <svg width="56" height="56" viewBox="0 0 48 48">
+            <circle class="ring-track" cx="24" cy="24" r="20"></circle>
+            <circle class="ring" cx="24" cy="24" r="20"
+              stroke-dasharray="${(fill * circumference).toFixed(2)} ${circumference.toFixed(2)}"
+              transform="rotate(-90 24 24)"></circle>
+            <text x="24" y="28" text-anchor="middle">${kpi.value === null ? '—' : kpi.percent ? `${this._formatNumber(kpi.value, 0)}%` : this._formatNumber(kpi.value, 0)}</text>
+          </svg>
+          <span class="kpi-label">${kpi.emoji} ${kpi.label}</span>
+        </div>
+      `;
+    }).join('');
+
+    return `${badges ? `<div class="kpi-badges">${badges}</div>` : ''}${rows}`;
+  }
+
+  _calculateCharges(options, baseCost, data) {
+    // Fixed charges and taxes for a source or a totals category, as line items
+    const charges = [];
+
+    if (typeof options.standing_charge === 'number' && options.standing_charge !== 0) {
+      // Daily charges count every started day; longer ones charge each
+      // calendar week, month or year in full
+      const days = this._getPeriodDays(data);
+      const period = options.standing_charge_period;
+      const count = BILLING_PERIODS.includes(period) && period !== 'day' ? this._getPeriodCount(data, period) : days;
+      charges.push({
+        label: `Standing charge (${days} ${days === 1 ? 'day' : 'days'})`,
+        amount: options.standing_charge * count
+      });
+    }
+
+    if (typeof options.tax_percent === 'number' && options.tax_percent !== 0) {
+      // Taxes apply to what is billed, not to credits
+      const taxable = charges.reduce((sum, charge) => sum + charge.amount, baseCost);
+      if (taxable > 0) {
+        charges.push({
+          label: `Tax (${options.tax_percent}%)`,
+          amount: taxable * options.tax_percent / 100
+        });
+      }
+    }
+
+    return charges;
+  }
+
+  _buildTotalRows(summary, data) {
+    const decimals = this._config.cost_decimal_places;
+    const totals = [];
+    let grandTotal = 0;
+    let hasGrandTotal = false;
+
+    this._config.totals.forEach(total => {
+      const entries = summary.costs.filter(entry =>
+        total.types.includes(entry.type) ||
+        total.sources.includes(entry.entity) ||
+        total.sources.includes(entry.label)
+      );
+      // Show a total once it has a cost, or once it has priced sources and
+      // its own fixed charges to add
+      const hasCharges = typeof total.standing_charge === 'number' || typeof total.tax_percent === 'number';
+      if (!entries.some(entry => entry.amount !== 0) && !(entries.length > 0 && hasCharges)) return;
 
-    // Use energy dashboard date range if available, otherwise use configured period
-    const dateRange = this._dateRange || this._getDateRangeForPeriod(this._getConfiguredPeriod());
-    const startTime = new Date(dateRange.start);
-    const endTime = dateRange.end ? new Date(dateRange.end) : new Date();
+      const subtotal = entries.reduce((sum, entry) => sum + entry.amount, 0);
+      const charges = this._calculateCharges(total, subtotal, data);
+      let amount = charges.reduce((sum, charge) => sum + charge.amount, subtotal);
+      if (total.sign === 'inverted') amount = -amount;
+      if (total.sign === 'absolute') amount = Math.abs(amount);
 
-    const entityIds = [];
+      if (total.in_grand_total) {
+        grandTotal += amount;
+        hasGrandTotal = true;
+      }
 
-    this._config.sources.forEach(source => {
-      if (source.entity) entityIds.push(source.entity);
-      if (source.calculate_from?.import) entityIds.push(source.calculate_from.import);
-      if (source.calculate_from?.export) entityIds.push(source.calculate_from.export);
+      totals.push({
+        key: total.key,
+        amount,
+        budget: total.budget,
+        ...this._formatTotal(total, amount),
+        charges: charges.map(charge => ({
+          label: charge.label,
+          costFormatted: this._formatCost(charge.amount, decimals)
+        }))
+      });
     });
 
-    if (this._config.net_metering) {
-      if (this._config.net_metering.import_entity) entityIds.push(this._config.net_metering.import_entity);
-      if (this._config.net_metering.export_entity) entityIds.push(this._config.net_metering.export_entity);
+    const grand = this._config.grand_total;
+    if (grand && hasGrandTotal) {
+      totals.push({
+        key: 'grand_total',
+        amount: grandTotal,
+        budget: grand.budget,
+        ...this._formatTotal(grand, grandTotal),
+        isGrandTotal: true,
+        charges: []
+      });
     }
 
-    const uniqueEntityIds = [...new Set(entityIds.filter(Boolean))];
+    return totals;
+  }
 
-    if (uniqueEntityIds.length === 0) {
-      this._energyData = {};
-      this.render();
-      return;
-    }
+  _calculateProjection(summary, data) {
+    // Estimate the end-of-cycle bill: each source's energy cost so far plus
+    // either its average daily cost or last year's cost for the days left,
+    // with fixed charges and taxes recomputed over the whole cycle
+    const billing = this._config.billing_cycle;
+    if (!billing || !data.cycleEnd || !summary.hasAnyCost) return null;
 
-    try {
-      const statistics = await this._fetchStatistics(uniqueEntityIds, startTime, endTime);
-      this._energyData = this._processStatistics(statistics);
-      this.render();
-    } catch (e) {
-      console.error('Error fetching energy statistics:', e);
-      this._energyData = {};
-      this.render();
+    const now = data.range.end;
+    const days = (start, end) => Math.max(0, (end - start) / (1000 * 60 * 60 * 24));
+    const lastYear = billing.projection === 'last_year' && this._projectionData?.loaded
+      ? this._computeSummary(this._projectionData)
+      : null;
+    let usedLastYear = false;
+
+    const project = (cost, sourceData, previous) => {
+      if (previous !== null && previous !== undefined && !isNaN(previous)) {
+        usedLastYear = true;
+        return cost + previous;
+      }
+      const elapsed = days(sourceData.range.start, sourceData.range.end);
+      return elapsed > 0 ? cost * days(sourceData.range.start, sourceData.cycleEnd) / elapsed : cost;
+    };
+
+    const costs = [];
+    summary.rows.forEach(({ source, cost }) => {
+      if (source.parent || cost === null || isNaN(cost)) return;
+      const sourceData = data.bySource.get(source) || data;
+      const previous = lastYear?.rows.find(row => row.source === source)?.cost;
+      const projected = project(cost, sourceData, previous);
+      const cycle = { ...sourceData, range: { start: sourceData.range.start, end: sourceData.cycleEnd } };
+      const amount = this._calculateCharges(source, projected, cycle)
+        .reduce((sum, charge) => sum + charge.amount, projected);
+      costs.push({ type: source.type, entity: source.entity, label: source.label, amount });
+    });
+    if (summary.netMetering) {
+      const amount = project(summary.netMetering.cost, data, lastYear?.netMetering?.cost);
+      costs.push({ type: 'net_metering', entity: null, label: this._config.net_metering.label, amount });
     }
+
+    // Reuse the configured totals so the projection matches the bill shown
+    const cycle = { ...data, range: { start: data.range.start, end: data.cycleEnd } };
+    const totals = this._buildTotalRows({ ...summary, costs }, cycle);
+    const grand = totals.find(total => total.isGrandTotal);
+    const amount = grand
+      ? grand.amount
+      : totals.reduce((sum, total) => sum + total.amount, 0);
+
+    const elapsed = days(data.range.start, now);
+    const total = Math.round(days(data.range.start, data.cycleEnd));
+    const day = Math.min(Math.max(Math.ceil(elapsed), 1), total);
+    return {
+      amount,
+      day,
+      totalDays: total,
+      remaining: total - day,
+      basis: usedLastYear ? 'last year' : 'daily average',
+      lowConfidence: !usedLastYear && elapsed < billing.min_days
+    };
   }
 
-  async _fetchStatistics(entityIds, startTime, endTime) {
-    if (!this._hass?.callWS) return {};
+  _getNetMeteringBankLines() {
+    // The banked credit and true-up, which don't depend on the range shown
+    const bank = this._netMeteringBank;
+    const nm = this._config.net_metering;
+    if (!bank || !nm) return [];
+    const costDecimals = this._config.cost_decimal_places;
+    const formatDate = date => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    const daysLeft = Math.ceil((bank.nextTrueUp - new Date()) / (24 * 60 * 60 * 1000));
+    return [
+      {
+        label: '🏦 Banked credit',
+        amount: nm.banking === 'energy'
+          ? `${this._formatNumber(bank.balance, this._config.decimal_places)} ${nm.unit || 'kWh'}`
+          : this._formatCost(bank.balance, costDecimals),
+        isCredit: bank.balance > 0
+      },
+      {
+        label: `Charged since ${formatDate(bank.lastTrueUp)}`,
+        amount: this._formatCost(bank.charged, costDecimals)
+      },
+      {
+        label: `📅 True-up ${formatDate(bank.nextTrueUp)} · ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        amount: bank.payout > 0 ? `${this._formatCost(bank.payout, costDecimals)} payout` : '',
+        isCredit: true
+      }
+    ];
+  }
 
-    // Calculate appropriate period based on time span (like energy-flow-card-plus)
-    const diffHours = (endTime - startTime) / (1000 * 60 * 60);
-    let period = 'hour';
-    if (diffHours > 35 * 24) {
-      period = 'month';
-    } else if (diffHours > 48) {
-      period = 'day';
-    }
+  _getBudgetStatus(key, label, budget, used, data, unit = null) {
+    // How far a row is through its budget; budgets with a period are
+    // scaled to the selected period, which counts in full while it is in
+    // progress (a monthly budget is not reduced ten days into the month)
+    if (!budget || used === null || isNaN(used)) return null;
+    const limit = budget.period
+      ? budget.amount * this._getPeriodCount(data, budget.period)
+      : budget.amount;
+    if (!(limit > 0)) return null;
 
-    try {
-      console.debug(`[Energy Card] Fetching statistics from ${startTime.toISOString()} to ${endTime.toISOString()} with period: ${period}`);
-      return await this._hass.callWS({
-        type: 'recorder/statistics_during_period',
-        start_time: startTime.toISOString(),
-        end_time: endTime.toISOString(),
-        statistic_ids: entityIds,
-        period: period,
-      });
-    } catch (e) {
-      console.error('Statistics fetch failed:', e);
-      return {};
-    }
+    const percent = used / limit * 100;
+    return {
+      key,
+      label,
+      budget,
+      unit,
+      used,
+      limit,
+      percent,
+      level: percent >= budget.error ? 'error' : percent >= budget.warning ? 'warning' : null
+    };
   }
 
-  _processStatistics(statistics) {
-    const data = {};
+  _getSourceBudget(row, data) {
+    const { source, value, cost, charges } = row;
+    const chargedCost = cost === null || isNaN(cost)
+      ? null
+      : charges.reduce((sum, charge) => sum + charge.amount, cost);
+    return this._getBudgetStatus(
+      this._getEnergyId(source) || source.label, source.label || 'Energy', source.budget,
+      source.budget?.unit === 'energy' ? value : chargedCost,
+      data.bySource.get(source) || data, source.unit
+    );
+  }
 
-    for (const [entityId, stats] of Object.entries(statistics || {})) {
-      if (!stats || !Array.isArray(stats) || stats.length === 0) {
-        data[entityId] = { value: 0 };
-        continue;
-      }
+  _getBudgetStatuses(data) {
+    // Every budget's status for a range, so alerts can be raised once its
+    // data has been fetched rather than on each render
+    const summary = this._computeSummary(data);
+    return [
+      ...summary.rows.map(row => this._getSourceBudget(row, data)),
+      ...this._buildTotalRows(summary, data).map(total =>
+        this._getBudgetStatus(total.key, total.label, total.budget, total.amount, data))
+    ].filter(Boolean);
+  }
 
-      // Use the same calculation as energy-flow-card-plus
-      const firstStat = stats[0];
-      const lastStat = stats[stats.length - 1];
+  _formatBudgetAmount(status, amount) {
+    return status.budget.unit === 'energy'
+      ? `${this._formatNumber(amount, this._config.decimal_places)} ${status.unit || 'kWh'}`
+      : this._formatCost(amount, this._config.cost_decimal_places);
+  }
 
-      let totalValue = null;
+  _renderBudget(status) {
+    if (!status) return '';
+    const limit = this._formatBudgetAmount(status, status.limit);
+    return `
+      <div class="budget-row ${status.level || ''}" title="${this._formatBudgetAmount(status, status.used)} of ${limit}">
+        <div class="budget-bar"><div class="budget-fill" style="width: ${Math.min(Math.max(status.percent, 0), 100).toFixed(1)}%"></div></div>
+        <span class="budget-label">${this._formatNumber(status.percent, 0)}% of ${limit}</span>
+      </div>
+    `;
+  }
 
-      // Need at least 2 data points for a proper diff
-      if (stats.length >= 2) {
-        const endSum = lastStat.sum;
-        const startSum = firstStat.sum;
+  _checkBudgets(statuses) {
+    // Announce each budget level the first time it is reached this session:
+    // an event for every level, and the configured action once exceeded
+    statuses.forEach(status => {
+      if (!status?.level) return;
+      const alertKey = `${status.key}:${status.level}`;
+      if (this._budgetAlerts.has(alertKey)) return;
+      this._budgetAlerts.add(alertKey);
 
-        if (endSum !== null && endSum !== undefined) {
-          if (startSum !== null && startSum !== undefined) {
-            totalValue = endSum - startSum;
-          } else {
-            // If no start sum, just use end sum
-            totalValue = endSum;
-          }
-        }
-      } else if (stats.length === 1) {
-        // Single data point - check for change value
-        if (firstStat.change !== null && firstStat.change !== undefined) {
-          totalValue = firstStat.change;
-        } else if (firstStat.sum !== null && firstStat.sum !== undefined) {
-          totalValue = firstStat.sum;
-        }
-      }
+      const detail = {
+        key: status.key,
+        label: status.label,
+        level: status.level,
+        percent: Math.round(status.percent),
+        used: status.used,
+        budget: status.limit,
+        unit: status.budget.unit
+      };
+      console.debug('[Energy Card] Budget level reached:', detail);
+      this.dispatchEvent(new CustomEvent('energy-budget-alert', { detail, bubbles: true, composed: true }));
 
-      // Fall back to summing change values if sum approach didn't work
-      if (totalValue === null) {
-        totalValue = stats.reduce((acc, stat) => {
-          const change = stat.change;
-          return acc + (typeof change === 'number' ? change : 0);
-        }, 0);
-      }
+      const action = status.budget.action;
+      if (status.level !== 'error' || !action?.service || !this._hass?.callService) return;
+      const [domain, service] = action.service.split('.');
+      const text = `${status.label} has used ${detail.percent}% of its budget (${this._formatBudgetAmount(status, status.used)} of ${this._formatBudgetAmount(status, status.limit)})`;
+      const data = action.data || (domain === 'persistent_notification'
+        ? { title: 'Energy budget exceeded', message: '{message}' }
+        : {});
+      // String values may use {label}, {percent}, {used}, {budget} and {message}
+      const placeholders = {
+        ...detail,
+        used: this._formatBudgetAmount(status, status.used),
+        budget: this._formatBudgetAmount(status, status.limit),
+        message: text
+      };
+      const filled = Object.fromEntries(Object.entries(data).map(([name, value]) => [
+        name,
+        typeof value === 'string' ? value.replace(/\{(\w+)\}/g, (match, field) => placeholders[field] ?? match) : value
+      ]));
+      Promise.resolve(this._hass.callService(domain, service, filled)).catch(e => {
+        console.error('[Energy Card] Budget action failed:', e);
+      });
+    });
+  }
 
-      console.debug(`[Energy Card] ${entityId}: ${stats.length} data points, value: ${totalValue}`);
-      data[entityId] = { value: totalValue || 0 };
-    }
+  _formatTotal(total, amount) {
+    // Bills flip to "Credit" when negative; credits and values keep their note
+    const defaultNotes = {
+      bill: amount < 0 ? 'Credit' : 'Bill',
+      credit: 'Credit',
+      value: 'Value'
+    };
+    const note = total.note ?? defaultNotes[total.kind];
+    return {
+      emoji: total.emoji,
+      label: total.label,
+      costFormatted: this._formatCost(amount, this._config.cost_decimal_places),
+      isCredit: total.kind === 'credit' || amount < 0,
+      note,
+      noteCredit: total.kind !== 'bill' || amount < 0
+    };
+  }
 
-    return data;
+  _setFormulaError(source, data, error) {
+    // Errors are kept per range, so a failing compare-period formula is not
+    // reported on the current period's row
+    if (!this._formulaErrors.has(data)) this._formulaErrors.set(data, new Map());
+    this._formulaErrors.get(data).set(source, error);
   }
 
-  _getValue(source) {
-    if (source.calculate_from) {
-      const importVal = this._energyData[source.calculate_from.import]?.value || 0;
-      const exportVal = this._energyData[source.calculate_from.export]?.value || 0;
-      return importVal - exportVal;
+  _getFormulaError(source, data) {
+    return this._formulaErrors.get(data)?.get(source) || null;
+  }
+
+  _getFormula(text) {
+    // Parse each distinct formula once; parse errors are cached and rethrown
+    if (!this._formulas.has(text)) {
+      try {
+        this._formulas.set(text, new CostFormula(text));
+      } catch (e) {
+        this._formulas.set(text, e);
+      }
     }
-    return this._energyData[source.entity]?.value || 0;
+    const formula = this._formulas.get(text);
+    if (formula instanceof Error) throw formula;
+    return formula;
   }
 
-  _calculateCost(source, value) {
-    if (!source.show_cost) return null;
+  _getEntityNumber(entityId) {
+    const state = parseFloat(this._hass?.states?.[entityId]?.state);
+    return isNaN(state) ? undefined : state;
+  }
 
-    let rate = null;
-    let rateSource = 'none';
+  _getRangeHours(data) {
+    const { start, end } = data.range;
+    return Math.max(0, (end - start) / (1000 * 60 * 60));
+  }
 
-    // Try to get rate from entity first
-    if (source.rate_entity) {
-      const entityState = this._hass?.states?.[source.rate_entity];
-      if (entityState) {
-        const parsedRate = parseFloat(entityState.state);
-        if (!isNaN(parsedRate)) {
-          rate = parsedRate;
-          rateSource = 'entity';
-        } else {
-          console.debug(`[Energy Card] Rate entity "${source.rate_entity}" has non-numeric state: "${entityState.state}"`);
-        }
-      } else {
-        console.debug(`[Energy Card] Rate entity "${source.rate_entity}" not found in Home Assistant states`);
-      }
+  _getPeriodEnd(data) {
+    // End of the calendar period the range covers: a day, week, month, year
+    // or billing cycle in progress counts in full, where other ranges end
+    // as selected
+    const { start, end } = data.range;
+    if (data.cycleEnd) return new Date(data.cycleEnd);
+    const unit = this._getCalendarUnit(new Date(start), new Date(end));
+    return unit ? this._shiftDate(start, unit, 1) : new Date(end);
+  }
+
+  _getPeriodCount(data, period) {
+    // How many of `period` the selected period spans: each whole calendar
+    // day, week, month or year counts 1 whatever its length (February is a
+    // month), and only a partial remainder is pro-rated by its length
+    const start = new Date(data.range.start);
+    const end = this._getPeriodEnd(data);
+    let count = 0;
+    while (this._shiftDate(start, period, count + 1) <= end) count++;
+    const from = this._shiftDate(start, period, count);
+    const to = this._shiftDate(start, period, count + 1);
+    return end > from ? count + (end - from) / (to - from) : count;
+  }
+
+  _getPeriodDays(data) {
+    // Calendar days the period touches, counting a started day in full
+    let days = 0;
+    const end = this._getPeriodEnd(data);
+    for (let day = this._getBucketStart(new Date(data.range.start), 'day'); day < end; day = this._shiftDate(day, 'day', 1)) {
+      days++;
     }
+    return days;
+  }
 
-    // Fall back to static rate
-    if (rate === null && typeof source.rate_static === 'number') {
-      rate = source.rate_static;
-      rateSource = 'static';
+  _evaluateFormula(source, variables, data) {
+    const hours = this._getRangeHours(data);
+    return this._getFormula(source.cost_formula).evaluateWith(
+      source.variables,
+      { hours, days: hours / 24, ...variables },
+      entityId => this._getEntityNumber(entityId)
+    );
+  }
+
+  _renderChart(source, data) {
+    const type = source.chart || this._config.chart;
+    if (type !== 'sparkline' && type !== 'bar') return '';
+
+    const series = this._getSeries(source, data);
+    if (series.length < 2) return '';
+
+    const width = 80;
+    const height = 24;
+    const step = width / series.length;
+    const values = series.map(bucket => bucket.change);
+    const max = Math.max(...values, 0);
+    const min = Math.min(...values, 0);
+    const span = max - min || 1;
+    const y = value => height - ((value - min) / span) * height;
+    const zero = y(0);
+
+    // Each bucket gets a full-height hit area so its tooltip is easy to reach
+    const tooltip = bucket => this._escapeHtml(
+      `${this._formatBucketTime(bucket.start, data.period)}: ` +
+      `${this._formatNumber(bucket.change, this._config.decimal_places)} ${source.unit}`
+    );
+
+    let shapes;
+    if (type === 'bar') {
+      shapes = series.map((bucket, i) => {
+        const top = Math.min(y(bucket.change), zero);
+        const barHeight = Math.max(Math.abs(y(bucket.change) - zero), 0.5);
+        return `<rect class="bar ${bucket.change < 0 ? 'negative' : ''}" x="${(i * step + step * 0.1).toFixed(2)}" y="${top.toFixed(2)}" width="${(step * 0.8).toFixed(2)}" height="${barHeight.toFixed(2)}"><title>${tooltip(bucket)}</title></rect>`;
+      }).join('');
+    } else {
+      const points = series.map((bucket, i) =>
+        `${(i * step + step / 2).toFixed(2)},${y(bucket.change).toFixed(2)}`).join(' ');
+      shapes = `<polyline class="line" points="${points}"></polyline>` +
+        series.map((bucket, i) =>
+          `<rect class="hit" x="${(i * step).toFixed(2)}" y="0" width="${step.toFixed(2)}" height="${height}"><title>${tooltip(bucket)}</title></rect>`
+        ).join('');
     }
 
-    // If still no rate, default to 0 but log it
-    if (rate === null) {
-      if (source.rate_entity || source.rate_static !== null) {
-        console.debug(`[Energy Card] No valid rate found for "${source.label}", using 0`);
-      }
-      rate = 0;
+    return `<div class="chart"><svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${shapes}</svg></div>`;
+  }
+
+  _formatBucketTime(start, period) {
+    const date = new Date(start);
+    if (period === 'month') {
+      return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    }
+    if (period === 'day') {
+      return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
     }
+    return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
 
-    if (source.cost_formula) {
-      try {
-        const formula = source.cost_formula
-          .replace(/\bvalue\b/g, String(value))
-          .replace(/\brate\b/g, String(rate));
-        const result = new Function('return ' + formula)();
-        return source.invert_cost ? -result : result;
-      } catch (e) {
-        console.error(`[Energy Card] Cost formula error for "${source.label}":`, e);
-        return null;
-      }
+  _formatEmissions(kg) {
+    return `${this._formatNumber(kg, this._config.decimal_places)} kg CO₂e`;
+  }
+
+  _formatComparison(current, previous, previousFormatted) {
+    let delta = '';
+    if (previous !== 0) {
+      const percent = (current - previous) / Math.abs(previous) * 100;
+      const arrow = percent > 0 ? '▲' : percent < 0 ? '▼' : '';
+      delta = ` <span class="delta ${percent > 0 ? 'up' : percent < 0 ? 'down' : ''}">${arrow}${this._formatNumber(Math.abs(percent), 0)}%</span>`;
     }
+    return `<span class="compare" title="Previous period">vs ${previousFormatted}${delta}</span>`;
+  }
 
-    const cost = value * rate;
-    return source.invert_cost ? -cost : cost;
+  _escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   _formatNumber(value, decimals = 2) {
@@ -471,43 +3084,37 @@ class CustomEnergySourcesCard extends HTMLElement {
       return;
     }
 
-    const sources = this._config.sources || [];
+    if (this._config.columns.length > 0) {
+      this._formulaErrors.clear();
+      this.shadowRoot.innerHTML = `
+        ${this._renderStyles()}
+        <ha-card>
+          ${this._config.show_header ? `<div class="card-header">${this._config.title || 'Energy Sources'}</div>` : ''}
+          <div class="energy-content">${this._renderColumns()}</div>
+        </ha-card>
+        ${this._renderDetails()}
+      `;
+      this._bindActions();
+      return;
+    }
 
-    // Track costs by category for separate totals
-    const costByCategory = {
-      solar: 0,       // Solar production value (not a real cost, but value generated)
-      grid_import: 0, // Cost of power bought from grid
-      grid_export: 0, // Credit for power sold to grid (will be negative)
-      gas: 0,
-      water: 0
-    };
-    let hasAnyCost = false;
+    const data = this._data || this._createEmptyData(new Date(), new Date());
+    this._formulaErrors.clear();
+    const summary = this._computeSummary(data);
+    const compareSummary = this._compareData ? this._computeSummary(this._compareData) : null;
+    const { hasAnyCost } = summary;
 
-    const rows = sources.map(source => {
-      const value = this._getValue(source);
-      if (source.hide_if_zero && value === 0) return null;
-
-      const cost = this._calculateCost(source, value);
-      if (cost !== null && !isNaN(cost)) {
-        // Categorize the cost properly
-        if (source.type === 'solar') {
-          costByCategory.solar += cost;
-        } else if (source.type === 'grid_import') {
-          costByCategory.grid_import += cost;
-        } else if (source.type === 'grid_export') {
-          costByCategory.grid_export += cost;
-        } else if (source.type === 'gas') {
-          costByCategory.gas += cost;
-        } else if (source.type === 'water') {
-          costByCategory.water += cost;
-        }
-        // battery_in, battery_out, grid_net, default - don't add to totals
-        hasAnyCost = true;
-      }
+    const rows = summary.rows.map(row => {
+      const { source, value, cost, charges } = row;
+      const previous = compareSummary?.rows.find(candidate => candidate.source === source);
 
       // Check if rate entity is configured but not working
       let rateWarning = null;
-      if (source.show_cost && source.rate_entity) {
+      if (source.show_cost && source.cost_statistic) {
+        if (data.loaded && !data.energy[source.cost_statistic]) {
+          rateWarning = 'Cost statistic not found';
+        }
+      } else if (source.show_cost && source.rate_entity && !this._hasRateHistory(source, data)) {
         const entityState = this._hass?.states?.[source.rate_entity];
         if (!entityState) {
           rateWarning = 'Entity not found';
@@ -515,6 +3122,12 @@ class CustomEnergySourcesCard extends HTMLElement {
           rateWarning = `Invalid: ${entityState.state}`;
         }
       }
+      const formulaError = this._getFormulaError(source, data.bySource.get(source) || data);
+      if (formulaError) {
+        rateWarning = `Formula: ${formulaError.message}`;
+      }
+
+      const budget = this._getSourceBudget(row, data);
 
       return {
         emoji: source.emoji || '📊',
@@ -524,33 +3137,55 @@ class CustomEnergySourcesCard extends HTMLElement {
         cost: cost,
         costFormatted: this._formatCost(cost, this._config.cost_decimal_places),
         rateWarning: rateWarning,
+        charges: charges.map(charge => ({
+          label: charge.label,
+          costFormatted: this._formatCost(charge.amount, this._config.cost_decimal_places)
+        })),
+        compare: compareSummary ? this._formatComparison(
+          value, previous?.value ?? 0,
+          `${this._formatNumber(previous?.value ?? 0, this._config.decimal_places)} ${source.unit || 'kWh'}`
+        ) : '',
+        chart: this._renderChart(source, data),
+        incomplete: this._describeDataQuality(row.quality),
+        isEstimate: Boolean(source.power_entity),
+        emissions: row.emissions !== null
+          ? `${source.avoided_emissions ? 'Avoided ' : ''}${this._formatEmissions(row.emissions)}`
+          : '',
+        isEmissionsAvoided: source.avoided_emissions,
+        budget,
+        source,
+        depth: source.depth,
+        isUntracked: Boolean(source.untracked_of),
+        hidden: this._isInCollapsedGroup(source),
         isNegative: value < 0,
         isCostCredit: cost !== null && cost < 0
       };
-    }).filter(Boolean);
+    });
 
     let netMeteringRow = null;
-    if (this._config.net_metering) {
+    if (summary.netMetering) {
       const nm = this._config.net_metering;
-      const importVal = this._energyData[nm.import_entity]?.value || 0;
-      const exportVal = this._energyData[nm.export_entity]?.value || 0;
-      const netValue = importVal - exportVal;
-
-      let rate = 0;
-      if (nm.rate_entity && this._hass?.states?.[nm.rate_entity]) {
-        rate = parseFloat(this._hass.states[nm.rate_entity].state) || 0;
-      } else if (typeof nm.rate_static === 'number') {
-        rate = nm.rate_static;
-      }
+      const { value: netValue, cost, importVal, exportVal, importRate, exportRate, importCost, exportCredit } = summary.netMetering;
+      const previous = compareSummary?.netMetering;
+      const unit = nm.unit || 'kWh';
+      const decimals = this._config.decimal_places;
+      const costDecimals = this._config.cost_decimal_places;
 
-      const cost = netValue * rate;
-      // Net metering affects grid import/export balance
-      if (netValue > 0) {
-        costByCategory.grid_import += cost;
-      } else {
-        costByCategory.grid_export += cost;
+      // Separate import and export rates are shown as their own lines, then
+      // the bank and the next true-up when credits are banked
+      const lines = [];
+      if (importRate !== exportRate) {
+        lines.push({
+          label: `Import ${this._formatNumber(importVal, decimals)} ${unit} × ${this._formatCost(importRate, 4)}`,
+          amount: this._formatCost(importCost, costDecimals)
+        });
+        lines.push({
+          label: `Export ${this._formatNumber(exportVal, decimals)} ${unit} × ${this._formatCost(exportRate, 4)}`,
+          amount: this._formatCost(-exportCredit, costDecimals),
+          isCredit: exportCredit > 0
+        });
       }
-      hasAnyCost = true;
+      lines.push(...this._getNetMeteringBankLines());
 
       netMeteringRow = {
         emoji: nm.emoji || '⚡',
@@ -559,84 +3194,94 @@ class CustomEnergySourcesCard extends HTMLElement {
         unit: nm.unit || 'kWh',
         cost: cost,
         costFormatted: this._formatCost(cost, this._config.cost_decimal_places),
+        compare: previous ? this._formatComparison(
+          netValue, previous.value,
+          `${this._formatNumber(previous.value, this._config.decimal_places)} ${nm.unit || 'kWh'}`
+        ) : '',
+        lines,
         isNegative: netValue < 0,
         isCredit: cost < 0
       };
     }
 
+    const emissionRows = [];
+    if (summary.emissions.hasEmissions) {
+      const previous = compareSummary?.emissions;
+      emissionRows.push({
+        emoji: '🌿',
+        label: 'Total emissions',
+        amount: this._formatEmissions(summary.emissions.emitted),
+        compare: previous ? this._formatComparison(
+          summary.emissions.emitted, previous.emitted, this._formatEmissions(previous.emitted)
+        ) : ''
+      });
+      if (summary.emissions.avoided !== 0) {
+        emissionRows.push({
+          emoji: '🌱',
+          label: 'Emissions avoided',
+          amount: this._formatEmissions(summary.emissions.avoided),
+          isAvoided: true,
+          compare: previous ? this._formatComparison(
+            summary.emissions.avoided, previous.avoided, this._formatEmissions(previous.avoided)
+          ) : ''
+        });
+      }
+    }
+
+    const compareTotals = compareSummary ? this._buildTotalRows(compareSummary, this._compareData) : [];
+    const projection = this._calculateProjection(summary, data);
+    const totalRows = this._buildTotalRows(summary, data).map(total => {
+      const previous = compareTotals.find(candidate => candidate.key === total.key);
+      return {
+        ...total,
+        budget: this._getBudgetStatus(total.key, total.label, total.budget, total.amount, data),
+        compare: compareSummary ? this._formatComparison(
+          total.amount, previous?.amount ?? 0,
+          this._formatCost(previous?.amount ?? 0, this._config.cost_decimal_places)
+        ) : ''
+      };
+    });
+
+    // Emissions get a column of their own, kept aligned by an empty cell on
+    // rows without any
+    const emissionsCell = (content = '', avoided = false) => summary.emissions.hasEmissions
+      ? `<div class="emissions-cell ${avoided ? 'avoided' : ''}">${content}</div>`
+      : '';
+
     this.shadowRoot.innerHTML = `
-      <style>
-        :host { display: block; }
-        ha-card { padding: 16px; }
-        .card-header {
-          font-size: 1.2em;
-          font-weight: 500;
-          padding-bottom: 12px;
-          border-bottom: 1px solid var(--divider-color, rgba(0,0,0,0.12));
-          margin-bottom: 12px;
-        }
-        .energy-row {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: 8px 0;
-          border-bottom: 1px solid var(--divider-color, rgba(0,0,0,0.12));
-        }
-        .energy-row:last-child { border-bottom: none; }
-        .energy-row.total {
-          font-weight: bold;
-          border-top: 2px solid var(--divider-color, rgba(0,0,0,0.12));
-          margin-top: 8px;
-          padding-top: 12px;
-        }
-        .source-info {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-        }
-        .emoji { font-size: 1.4em; width: 28px; text-align: center; }
-        .label { color: var(--primary-text-color); }
-        .values {
-          display: flex;
-          flex-direction: column;
-          align-items: flex-end;
-          text-align: right;
-        }
-        .value { font-weight: 500; color: var(--primary-text-color); }
-        .value.negative { color: var(--error-color, #db4437); }
-        .value.credit { color: var(--success-color, #43a047); }
-        .cost { font-size: 0.85em; color: var(--secondary-text-color); }
-        .cost.credit { color: var(--success-color, #43a047); }
-        .cost.warning { color: var(--warning-color, #ff9800); font-size: 0.75em; }
-        .unit { font-size: 0.85em; color: var(--secondary-text-color); margin-left: 4px; }
-        .no-data { text-align: center; color: var(--secondary-text-color); padding: 20px; }
-        .net-metering-row {
-          background: var(--secondary-background-color, rgba(0,0,0,0.05));
-          border-radius: 8px;
-          margin: 8px 0;
-          padding: 8px 12px !important;
-        }
-        .net-metering-row.credit { background: rgba(67, 160, 71, 0.1); }
-        .net-metering-row.debit { background: rgba(219, 68, 55, 0.1); }
-      </style>
+      ${this._renderStyles()}
       <ha-card>
         ${this._config.show_header ? `<div class="card-header">${this._config.title || 'Energy Sources'}</div>` : ''}
         <div class="energy-content">
           ${rows.length === 0 && !netMeteringRow ? `
             <div class="no-data">No energy data available</div>
           ` : `
-            ${rows.map(row => `
-              <div class="energy-row">
+            ${rows.filter(row => !row.hidden).map(row => `
+              <div class="energy-row ${row.depth ? 'child' : ''} ${row.isUntracked ? 'untracked' : ''} ${row.budget?.level ? `budget-${row.budget.level}` : ''}"
+                style="--depth: ${row.depth}" ${this._renderActionAttributes(row.source)}>
                 <div class="source-info">
+                  ${this._renderGroupToggle(row.source)}
                   <span class="emoji">${row.emoji}</span>
                   <span class="label">${row.label}</span>
                 </div>
+                ${row.chart}
                 <div class="values">
                   <span class="value ${row.isNegative ? 'negative' : ''}">${row.value}<span class="unit">${row.unit}</span></span>
-                  ${row.rateWarning ? `<span class="cost warning" title="${row.rateWarning}">⚠️ ${row.rateWarning}</span>` :
+                  ${row.isEstimate ? '<span class="estimate">Estimated from power</span>' : ''}
+                  ${row.incomplete ? `<span class="incomplete" title="Incomplete data: ${row.incomplete}">⚠️ ${row.incomplete}</span>` : ''}
+                  ${row.compare}
+                  ${row.rateWarning ? `<span class="cost warning" title="${this._escapeHtml(row.rateWarning)}">⚠️ ${this._escapeHtml(row.rateWarning)}</span>` :
                     (row.costFormatted ? `<span class="cost ${row.isCostCredit ? 'credit' : ''}">${row.costFormatted}</span>` : '')}
                 </div>
+                ${emissionsCell(row.emissions ? `🌿 ${row.emissions}` : '', row.isEmissionsAvoided)}
               </div>
+              ${row.charges.map(charge => `
+                <div class="charge-row">
+                  <span class="label">${charge.label}</span>
+                  <span class="cost">${charge.costFormatted}</span>
+                </div>
+              `).join('')}
+              ${this._renderBudget(row.budget)}
             `).join('')}
             ${netMeteringRow ? `
               <div class="energy-row net-metering-row ${netMeteringRow.isCredit ? 'credit' : 'debit'}">
@@ -646,69 +3291,719 @@ class CustomEnergySourcesCard extends HTMLElement {
                 </div>
                 <div class="values">
                   <span class="value ${netMeteringRow.isNegative ? 'credit' : ''}">${netMeteringRow.value}<span class="unit">${netMeteringRow.unit}</span></span>
+                  ${netMeteringRow.compare}
                   ${netMeteringRow.costFormatted ? `<span class="cost ${netMeteringRow.isCredit ? 'credit' : ''}">${netMeteringRow.costFormatted}</span>` : ''}
                 </div>
+                ${emissionsCell()}
               </div>
-            ` : ''}
-            ${this._config.show_total && hasAnyCost ? (() => {
-              // Calculate grid net (import cost + export credit, where export is negative)
-              const gridNet = costByCategory.grid_import + costByCategory.grid_export;
-              return `
-              ${costByCategory.solar !== 0 ? `
-              <div class="energy-row total">
-                <div class="source-info">
-                  <span class="emoji">☀️</span>
-                  <span class="label">Solar Value</span>
+              ${netMeteringRow.lines.map(line => `
+                <div class="charge-row">
+                  <span class="label">${line.label}</span>
+                  <span class="cost ${line.isCredit ? 'credit' : ''}">${line.amount}</span>
                 </div>
-                <div class="values">
-                  <span class="value ${costByCategory.solar < 0 ? 'credit' : ''}">${this._formatCost(Math.abs(costByCategory.solar), this._config.cost_decimal_places)}</span>
-                  <span class="cost credit">Generated</span>
+              `).join('')}
+            ` : ''}
+            ${this._renderKpis(data)}
+            ${this._config.show_total && hasAnyCost ? totalRows.map(total => `
+              ${total.charges.map(charge => `
+                <div class="charge-row">
+                  <span class="label">${total.emoji} ${charge.label}</span>
+                  <span class="cost">${charge.costFormatted}</span>
                 </div>
-              </div>
-              ` : ''}
-              ${(costByCategory.grid_import !== 0 || costByCategory.grid_export !== 0) ? `
-              <div class="energy-row total">
+              `).join('')}
+              <div class="energy-row total ${total.isGrandTotal ? 'grand-total' : ''} ${total.budget?.level ? `budget-${total.budget.level}` : ''}">
                 <div class="source-info">
-                  <span class="emoji">⚡</span>
-                  <span class="label">Grid Net</span>
+                  <span class="emoji">${total.emoji}</span>
+                  <span class="label">${total.label}</span>
                 </div>
                 <div class="values">
-                  <span class="value ${gridNet < 0 ? 'credit' : ''}">${this._formatCost(gridNet, this._config.cost_decimal_places)}</span>
-                  ${gridNet < 0 ? '<span class="cost credit">Credit</span>' : '<span class="cost">Bill</span>'}
+                  <span class="value ${total.isCredit ? 'credit' : ''}">${total.costFormatted}</span>
+                  ${total.note ? `<span class="cost ${total.noteCredit ? 'credit' : ''}">${total.note}</span>` : ''}
+                  ${total.compare}
                 </div>
+                ${emissionsCell()}
               </div>
-              ` : ''}
-              ${costByCategory.gas !== 0 ? `
-              <div class="energy-row total">
+              ${this._renderBudget(total.budget)}
+            `).join('') : ''}
+            ${projection ? `
+              <div class="energy-row total projection-row">
                 <div class="source-info">
-                  <span class="emoji">🔥</span>
-                  <span class="label">Gas Total</span>
+                  <span class="emoji">🔮</span>
+                  <span class="label">Projected bill</span>
                 </div>
                 <div class="values">
-                  <span class="value">${this._formatCost(costByCategory.gas, this._config.cost_decimal_places)}</span>
+                  <span class="value ${projection.amount < 0 ? 'credit' : ''}">${this._formatCost(projection.amount, this._config.cost_decimal_places)}</span>
+                  <span class="cost">Day ${projection.day} of ${projection.totalDays} · ${projection.remaining} ${projection.remaining === 1 ? 'day' : 'days'} remaining</span>
+                  <span class="projection-basis ${projection.lowConfidence ? 'warning' : ''}">${projection.lowConfidence
+                    ? `⚠️ Low confidence: only ${projection.day} ${projection.day === 1 ? 'day' : 'days'} of data`
+                    : `Based on ${projection.basis}`}</span>
                 </div>
+                ${emissionsCell()}
               </div>
-              ` : ''}
-              ${costByCategory.water !== 0 ? `
+            ` : ''}
+            ${this._config.show_total ? emissionRows.map(total => `
               <div class="energy-row total">
                 <div class="source-info">
-                  <span class="emoji">💧</span>
-                  <span class="label">Water Total</span>
-                </div>
-                <div class="values">
-                  <span class="value">${this._formatCost(costByCategory.water, this._config.cost_decimal_places)}</span>
+                  <span class="emoji">${total.emoji}</span>
+                  <span class="label">${total.label}</span>
                 </div>
+                <div class="values"></div>
+                ${emissionsCell(`<span class="value">${total.amount}</span>${total.compare}`, total.isAvoided)}
               </div>
-              ` : ''}
-            `;
-            })() : ''}
+            `).join('') : ''}
           `}
         </div>
-      </ha-card>
+      </ha-card>
+      ${this._renderDetails()}
+    `;
+    this._bindActions();
+  }
+
+  _isGroupCollapsed(source) {
+    return this._groupState.has(source) ? this._groupState.get(source) : source.collapsed;
+  }
+
+  _isInCollapsedGroup(source) {
+    for (let parent = source.parent; parent; parent = parent.parent) {
+      if (this._isGroupCollapsed(parent)) return true;
+    }
+    return false;
+  }
+
+  _renderGroupToggle(source) {
+    if (!source.children?.length) return '';
+    const collapsed = this._isGroupCollapsed(source);
+    return `
+      <button class="group-toggle" data-group-index="${this._config.sources.indexOf(source)}"
+        aria-expanded="${!collapsed}" aria-label="${collapsed ? 'Expand' : 'Collapse'} ${this._escapeHtml(source.label)}">${collapsed ? '▸' : '▾'}</button>
+    `;
+  }
+
+  _hasAction(action) {
+    return Boolean(action) && action.action !== 'none';
+  }
+
+  _renderActionAttributes(source) {
+    const index = this._config.sources.indexOf(source);
+    const actions = [source.tap_action, source.hold_action, source.double_tap_action];
+    if (index < 0 || !actions.some(action => this._hasAction(action))) return '';
+    return `data-source-index="${index}" role="button" tabindex="0"`;
+  }
+
+  _bindActions() {
+    // Lovelace-style gestures: a hold fires after 500ms, and a tap waits
+    // briefly for a second tap only when the row has a double_tap_action
+    this.shadowRoot.querySelectorAll('[data-source-index]').forEach(element => {
+      const source = this._config.sources[element.dataset.sourceIndex];
+      if (!source) return;
+      let holdTimer = null;
+      let tapTimer = null;
+      let held = false;
+      // In column mode, the column of the cell that was tapped
+      const columnOf = event => Number(event.target.closest?.('[data-column-index]')?.dataset.columnIndex ?? 0);
+
+      const cancelHold = () => {
+        clearTimeout(holdTimer);
+        holdTimer = null;
+      };
+      element.addEventListener('pointerdown', event => {
+        held = false;
+        if (!this._hasAction(source.hold_action)) return;
+        const column = columnOf(event);
+        holdTimer = setTimeout(() => {
+          held = true;
+          this._handleAction(source, source.hold_action, column);
+        }, 500);
+      });
+      ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => element.addEventListener(type, cancelHold));
+
+      element.addEventListener('click', event => {
+        if (held) {
+          held = false;
+          return;
+        }
+        const column = columnOf(event);
+        if (!this._hasAction(source.double_tap_action)) {
+          this._handleAction(source, source.tap_action, column);
+        } else if (tapTimer) {
+          clearTimeout(tapTimer);
+          tapTimer = null;
+          this._handleAction(source, source.double_tap_action, column);
+        } else {
+          tapTimer = setTimeout(() => {
+            tapTimer = null;
+            this._handleAction(source, source.tap_action, column);
+          }, 250);
+        }
+      });
+      element.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this._handleAction(source, source.tap_action);
+        }
+      });
+    });
+
+    // Group toggles sit inside rows, so keep their clicks from the row
+    this.shadowRoot.querySelectorAll('.group-toggle').forEach(toggle => {
+      toggle.addEventListener('pointerdown', event => event.stopPropagation());
+      toggle.addEventListener('keydown', event => event.stopPropagation());
+      toggle.addEventListener('click', event => {
+        event.stopPropagation();
+        const source = this._config.sources[toggle.dataset.groupIndex];
+        if (!source) return;
+        this._groupState.set(source, !this._isGroupCollapsed(source));
+        this.render();
+      });
+    });
+
+    const dialog = this.shadowRoot.querySelector('.details-backdrop');
+    if (dialog) {
+      dialog.addEventListener('click', event => {
+        if (event.target === dialog || event.target.closest('.details-close')) this._closeDetails();
+      });
+      dialog.addEventListener('keydown', event => {
+        if (event.key === 'Escape') this._closeDetails();
+      });
+    }
+  }
+
+  _handleAction(source, action, column = 0) {
+    if (!this._hasAction(action)) return;
+    if (action.confirmation && !window.confirm(action.confirmation.text || 'Are you sure?')) return;
+
+    switch (action.action) {
+      case 'details':
+        this._detailsIndex = this._config.sources.indexOf(source);
+        this._detailsColumn = column;
+        this.render();
+        this.shadowRoot.querySelector('.details-dialog')?.focus();
+        break;
+      case 'more-info': {
+        const entityId = action.entity || source.entity || source.power_entity || source.calculate_from?.import;
+        if (!entityId) return;
+        this.dispatchEvent(new CustomEvent('hass-more-info', {
+          detail: { entityId },
+          bubbles: true,
+          composed: true
+        }));
+        break;
+      }
+      case 'navigate':
+        if (!action.navigation_path) return;
+        window.history.pushState(null, '', action.navigation_path);
+        window.dispatchEvent(new CustomEvent('location-changed', { detail: { replace: false } }));
+        break;
+      case 'url':
+        if (action.url_path) window.open(action.url_path, '_blank');
+        break;
+      case 'call-service':
+      case 'perform-action': {
+        const [domain, service] = (action.perform_action || action.service || '').split('.');
+        if (!domain || !service || !this._hass?.callService) return;
+        this._hass.callService(domain, service, action.data || action.service_data || {}, action.target);
+        break;
+      }
+      default:
+        console.debug(`[Energy Card] Unknown action "${action.action}" for "${source.label}"`);
+    }
+  }
+
+  _closeDetails() {
+    this._detailsIndex = null;
+    this.render();
+  }
+
+  _describeCost(source, value, cost, data, computed = new Map()) {
+    // Plain-language steps of how a row's cost was arrived at
+    if (!source.show_cost) return ['Cost not shown for this source'];
+    if (cost === null) return ['No cost could be calculated'];
+
+    const formatRate = rate => `${this._formatCost(rate, Math.max(this._config.cost_decimal_places, 4))}/${source.unit}`;
+    const formatCost = amount => this._formatCost(amount, this._config.cost_decimal_places);
+    const rowCost = row => row && row.cost !== null && !isNaN(row.cost) ? row.cost : null;
+
+    // Rows priced from other rows: see _calculateRowCost
+    if (source.untracked_of) {
+      const parent = source.untracked_of;
+      return [
+        `Cost of ${parent.label}: ${formatCost(rowCost(computed.get(parent)))}`,
+        ...parent.children
+          .filter(child => rowCost(computed.get(child)) !== null)
+          .map(child => `Minus ${child.label}: ${formatCost(rowCost(computed.get(child)))}`)
+      ];
+    }
+    if (this._isGroupOnly(source)) {
+      return [
+        'Sum of the costs of the sources in this group',
+        ...source.children
+          .filter(child => rowCost(computed.get(child)) !== null)
+          .map(child => `${child.label}: ${formatCost(rowCost(computed.get(child)))}`)
+      ];
+    }
+    if (source.allocate_cost) {
+      const parent = computed.get(source.parent);
+      const rate = parent && parent.value !== 0 ? rowCost(parent) / parent.value : 0;
+      return [
+        `Share of the cost of ${source.parent.label} at its average rate`,
+        `Average rate ${formatRate(rate)}`,
+        `${this._formatNumber(Math.abs(value), this._config.decimal_places)} ${source.unit} × ${formatRate(rate)}`
+      ];
+    }
+
+    const details = this._costDetails.get(source);
+    if (!details) return ['No cost could be calculated'];
+    const steps = [];
+
+    switch (details.method) {
+      case 'statistic':
+        return [`Change of the cost statistic ${source.cost_statistic} over the range`];
+      case 'tiers':
+        source.tiers.forEach((tier, index) => {
+          const lower = index === 0 ? 0 : source.tiers[index - 1].up_to;
+          steps.push(tier.up_to === null
+            ? `Above ${this._formatNumber(lower, 0)} ${source.unit}: ${formatRate(tier.rate)}`
+            : `${this._formatNumber(lower, 0)}–${this._formatNumber(tier.up_to, 0)} ${source.unit}: ${formatRate(tier.rate)}`);
+        });
+        if (source.tier_period) steps.push(`Tier thresholds per ${source.tier_period}, scaled to the period`);
+        break;
+      case 'history': {
+        // The hour before the range is fetched only as a baseline
+        const from = this._getBucketStart(data.range.start, 'hour').getTime();
+        const means = (data.hourly[source.rate_entity] || [])
+          .filter(stat => new Date(stat.start).getTime() >= from)
+          .map(stat => stat.mean)
+          .filter(mean => typeof mean === 'number');
+        steps.push(`Each hour priced at the recorded mean of ${source.rate_entity}`);
+        if (means.length > 0) {
+          steps.push(`Hourly rates from ${this._formatNumber(Math.min(...means), 4)} to ${this._formatNumber(Math.max(...means), 4)} over ${means.length} hours`);
+        }
+        break;
+      }
+      case 'entity':
+        steps.push(`Current state of ${source.rate_entity}`);
+        break;
+      case 'static':
+        steps.push('Static rate');
+        break;
+      default:
+        steps.push('No rate configured');
+    }
+
+    steps.push(`Effective rate ${formatRate(details.rate)}`);
+    const fromEntity = details.method === 'history' || details.method === 'entity';
+    if (this._getRateScale(source, fromEntity) !== 1) {
+      steps.push(`Rate converted from ${this._getRateUnit(source.rate_unit, source.rate_entity, fromEntity)}`);
+    }
+    if (details.formula) {
+      steps.push(`Cost formula: ${source.cost_formula}`);
+    } else {
+      steps.push(`${this._formatNumber(Math.abs(value), this._config.decimal_places)} ${source.unit} × ${formatRate(details.rate)}`);
+    }
+    if (source.invert_cost) steps.push('Inverted, shown as a credit');
+    return steps;
+  }
+
+  _renderDetails() {
+    const source = this._config.sources[this._detailsIndex];
+    if (!source) return '';
+
+    // Data left over from before a switch to or from columns is stale
+    const columns = this._config.columns.length > 0;
+    const data = (columns ? this._columnData?.[this._detailsColumn] : this._data)
+      || this._createEmptyData(new Date(), new Date());
+    const sourceData = data.bySource?.get(source) || data;
+    // The row as the card shows it, so groups, untracked and allocated rows
+    // get their cost from the rows they're priced from
+    const { computed } = this._computeSummary(data);
+    const { value, cost, charges } = computed.get(source);
+    const steps = this._describeCost(source, value, cost, sourceData, computed);
+    const incomplete = this._describeDataQuality(this._getDataQuality(source, sourceData));
+
+    // Hourly buckets priced at their own rate; otherwise each bucket gets
+    // its share of the range's cost
+    const details = this._costDetails.get(source);
+    const rates = details?.method === 'history' && sourceData.period === 'hour'
+      ? (sourceData.hourly[source.rate_entity] || [])
+        .filter(stat => typeof stat.mean === 'number')
+        .map(stat => ({ start: new Date(stat.start).getTime(), mean: stat.mean }))
+        .sort((a, b) => a.start - b.start)
+      : [];
+    const scale = this._getRateScale(source) * (source.invert_cost ? -1 : 1);
+    const bucketCost = bucket => {
+      if (cost === null || isNaN(cost)) return null;
+      if (rates.length > 0) return bucket.change * this._getRateAt(rates, bucket.start) * scale;
+      return value !== 0 ? cost * bucket.change / value : 0;
+    };
+
+    const ids = [
+      ['Energy', source.entity],
+      ['Power', source.power_entity],
+      ['Import', source.calculate_from?.import],
+      ['Export', source.calculate_from?.export],
+      ['Cost statistic', source.cost_statistic],
+      ['Rate', source.rate_entity],
+      ['CO₂ intensity', source.co2_intensity_entity]
+    ].filter(([, id]) => id);
+    const { start, end } = sourceData.range;
+
+    return `
+      <div class="details-backdrop">
+        <div class="details-dialog" role="dialog" aria-label="${this._escapeHtml(source.label)} details" tabindex="-1">
+          <div class="details-header">
+            <span>${source.emoji} ${source.label}</span>
+            <button class="details-close" aria-label="Close">✕</button>
+          </div>
+          <div class="details-range">
+            ${columns ? `${this._escapeHtml(this._config.columns[this._detailsColumn]?.label || '')} · ` : ''}${new Date(start).toLocaleString()} – ${new Date(end).toLocaleString()}
+          </div>
+          <div class="details-summary">
+            <span>${this._formatNumber(value, this._config.decimal_places)} ${source.unit}</span>
+            ${cost !== null && !isNaN(cost) ? `<span>${this._formatCost(cost, this._config.cost_decimal_places)}</span>` : ''}
+          </div>
+          ${source.power_entity ? `<div class="details-range">Energy is an estimate: each hour's average power × 1 hour</div>` : ''}
+          ${incomplete ? `<div class="details-incomplete">⚠️ Incomplete data: ${incomplete}</div>` : ''}
+          <div class="details-section">How the cost was calculated</div>
+          <ul class="details-steps">
+            ${steps.map(step => `<li>${this._escapeHtml(step)}</li>`).join('')}
+            ${charges.map(charge => `<li>${charge.label}: ${this._formatCost(charge.amount, this._config.cost_decimal_places)}</li>`).join('')}
+          </ul>
+          <div class="details-section">Statistics</div>
+          <ul class="details-ids">
+            ${ids.map(([label, id]) => `<li>${label}: <code>${this._escapeHtml(id)}</code></li>`).join('')}
+          </ul>
+          <div class="details-section">Breakdown</div>
+          <div class="details-table">
+            <table>
+              <tr><th>${sourceData.period === 'hour' ? 'Hour' : 'Period'}</th><th>${source.unit}</th><th>Cost</th></tr>
+              ${this._getSeries(source, sourceData).map(bucket => `
+                <tr>
+                  <td>${this._formatBucketTime(bucket.start, sourceData.period)}</td>
+                  <td>${this._formatNumber(bucket.change, this._config.decimal_places)}</td>
+                  <td>${this._formatCost(bucketCost(bucket), this._config.cost_decimal_places)}</td>
+                </tr>
+              `).join('') || '<tr><td colspan="3">No data</td></tr>'}
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderColumns() {
+    const columns = this._config.columns;
+    const datasets = this._columnData
+      || columns.map(() => this._createEmptyData(new Date(), new Date()));
+    const summaries = datasets.map(data => this._computeSummary(data));
+    const decimals = this._config.decimal_places;
+    const costDecimals = this._config.cost_decimal_places;
+
+    const valueCell = (value, unit, cost, warning, incomplete = '', estimate = false, column = null) => `
+      <td ${column !== null ? `data-column-index="${column}"` : ''}>
+        <span class="value ${value < 0 ? 'negative' : ''}">${estimate ? '<span class="estimate" title="Estimated from power">≈</span>' : ''}${this._formatNumber(value, decimals)}<span class="unit">${unit}</span></span>
+        ${incomplete ? `<span class="incomplete" title="Incomplete data: ${incomplete}">⚠️</span>` : ''}
+        ${warning ? `<span class="cost warning" title="${this._escapeHtml(warning)}">⚠️</span>` :
+          cost !== null && cost !== undefined ? `<span class="cost ${cost < 0 ? 'credit' : ''}">${this._formatCost(cost, costDecimals)}</span>` : ''}
+      </td>
+    `;
+
+    // A row appears if any column shows it (hide_if_zero hides per column)
+    const sourceRows = this._config.sources.map(source => {
+      const cells = summaries.map(summary => summary.rows.find(row => row.source === source));
+      if (cells.every(cell => !cell) || this._isInCollapsedGroup(source)) return '';
+      const warnings = datasets.map(data => {
+        const error = this._getFormulaError(source, data);
+        return error ? `Formula: ${error.message}` : null;
+      });
+      return `
+        <tr class="${source.depth ? 'child' : ''} ${source.untracked_of ? 'untracked' : ''}" style="--depth: ${source.depth}" ${this._renderActionAttributes(source)}>
+          <th>${this._renderGroupToggle(source)}<span class="emoji">${source.emoji}</span><span class="label">${source.label}</span></th>
+          ${cells.map((cell, index) => valueCell(
+            cell?.value ?? 0, source.unit, cell ? cell.cost : null, warnings[index],
+            cell ? this._describeDataQuality(cell.quality) : '', Boolean(source.power_entity), index
+          )).join('')}
+        </tr>
+      `;
+    }).join('');
+
+    const nm = this._config.net_metering;
+    const netMeteringRow = nm ? `
+      <tr class="net-metering-row">
+        <th><span class="emoji">${nm.emoji || '⚡'}</span><span class="label">${nm.label || 'Grid Net (Metered)'}</span></th>
+        ${summaries.map(summary => valueCell(summary.netMetering.value, nm.unit || 'kWh', summary.netMetering.cost)).join('')}
+      </tr>
+      ${this._getNetMeteringBankLines().map(line => `
+        <tr class="bank-row">
+          <th><span class="label">${line.label}</span></th>
+          <td colspan="${columns.length}"><span class="cost ${line.isCredit ? 'credit' : ''}">${line.amount}</span></td>
+        </tr>
+      `).join('')}
+    ` : '';
+
+    const kpiRows = this._config.kpis.map(kpi => {
+      const percent = KPI_TYPES[kpi.type].percent;
+      return `
+        <tr>
+          <th><span class="emoji">${kpi.emoji}</span><span class="label">${kpi.label}</span></th>
+          ${datasets.map(data => {
+            const value = this._calculateKpis(data)[kpi.type];
+            return `<td><span class="value">${value === null ? '—'
+              : percent ? `${this._formatNumber(value, 0)}%`
+              : `${this._formatNumber(value, decimals)}<span class="unit">kWh</span>`}</span></td>`;
+          }).join('')}
+        </tr>
+      `;
+    }).join('');
+
+    // Totals keep their configured order; a column without one shows a dash
+    const totalsByColumn = summaries.map((summary, index) => this._buildTotalRows(summary, datasets[index]));
+    const totalKeys = [];
+    totalsByColumn.flat().forEach(total => {
+      if (!totalKeys.some(entry => entry.key === total.key)) totalKeys.push(total);
+    });
+    const order = [...this._config.totals.map(total => total.key), 'grand_total'];
+    totalKeys.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+
+    const totalRows = this._config.show_total ? totalKeys.map(({ key, emoji, label, isGrandTotal }) => `
+      <tr class="total ${isGrandTotal ? 'grand-total' : ''}">
+        <th><span class="emoji">${emoji}</span><span class="label">${label}</span></th>
+        ${totalsByColumn.map(totals => {
+          const total = totals.find(candidate => candidate.key === key);
+          return total
+            ? `<td><span class="value ${total.isCredit ? 'credit' : ''}">${total.costFormatted}</span></td>`
+            : '<td><span class="value">—</span></td>';
+        }).join('')}
+      </tr>
+    `).join('') : '';
+
+    const emissionRows = this._config.show_total && summaries.some(summary => summary.emissions.hasEmissions) ? `
+      <tr class="total">
+        <th><span class="emoji">🌿</span><span class="label">Total emissions</span></th>
+        ${summaries.map(summary => `<td><span class="value">${this._formatEmissions(summary.emissions.emitted)}</span></td>`).join('')}
+      </tr>
+    ` : '';
+
+    return `
+      <table class="columns-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${columns.map(column => `<th class="column-label">${column.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${sourceRows}
+          ${netMeteringRow}
+          ${kpiRows}
+          ${totalRows}
+          ${emissionRows}
+        </tbody>
+      </table>
+    `;
+  }
+
+  _renderStyles() {
+    return `
+    <style>
+      :host { display: block; }
+      ha-card { padding: 16px; }
+      .card-header {
+        font-size: 1.2em;
+        font-weight: 500;
+        padding-bottom: 12px;
+        border-bottom: 1px solid var(--divider-color, rgba(0,0,0,0.12));
+        margin-bottom: 12px;
+      }
+      .energy-row {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 8px 0;
+        border-bottom: 1px solid var(--divider-color, rgba(0,0,0,0.12));
+      }
+      .energy-row:last-child { border-bottom: none; }
+      .energy-row.total {
+        font-weight: bold;
+        border-top: 2px solid var(--divider-color, rgba(0,0,0,0.12));
+        margin-top: 8px;
+        padding-top: 12px;
+      }
+      .energy-row.grand-total { border-top-style: double; border-top-width: 3px; font-size: 1.1em; }
+      .energy-row.projection-row .value { font-style: italic; }
+      .energy-row.child .source-info,
+      .columns-table tr.child th { padding-left: calc(var(--depth) * 20px); }
+      .energy-row.child { padding-top: 4px; padding-bottom: 4px; font-size: 0.95em; }
+      .energy-row.untracked .label,
+      .columns-table tr.untracked th .label { font-style: italic; color: var(--secondary-text-color); }
+      .group-toggle {
+        width: 20px;
+        padding: 0;
+        border: none;
+        background: none;
+        color: var(--secondary-text-color);
+        cursor: pointer;
+      }
+      [data-source-index] { cursor: pointer; }
+      [data-source-index]:focus-visible { outline: 2px solid var(--primary-color, #03a9f4); outline-offset: -2px; }
+      .details-backdrop {
+        position: fixed;
+        inset: 0;
+        z-index: 10;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.4);
+      }
+      .details-dialog {
+        width: min(480px, calc(100vw - 32px));
+        max-height: calc(100vh - 64px);
+        overflow-y: auto;
+        padding: 16px;
+        border-radius: var(--ha-card-border-radius, 12px);
+        background: var(--card-background-color, #fff);
+        color: var(--primary-text-color);
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+        outline: none;
+      }
+      .details-header { display: flex; justify-content: space-between; align-items: center; font-size: 1.2em; }
+      .details-close {
+        border: none;
+        background: none;
+        color: var(--secondary-text-color);
+        font-size: 1em;
+        cursor: pointer;
+      }
+      .details-range { font-size: 0.8em; color: var(--secondary-text-color); margin-top: 4px; }
+      .details-incomplete { font-size: 0.85em; color: var(--warning-color, #ff9800); margin-top: 8px; }
+      .details-summary { display: flex; justify-content: space-between; font-weight: 500; margin: 12px 0; }
+      .details-section { font-size: 0.85em; font-weight: 500; color: var(--secondary-text-color); margin-top: 12px; }
+      .details-steps, .details-ids { margin: 4px 0; padding-left: 20px; font-size: 0.85em; }
+      .details-ids code { font-size: 0.95em; }
+      .details-table table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+      .details-table th, .details-table td { padding: 2px 4px; text-align: right; }
+      .details-table th:first-child, .details-table td:first-child { text-align: left; }
+      .energy-row.budget-warning { box-shadow: inset 3px 0 var(--warning-color, #ff9800); padding-left: 8px; }
+      .energy-row.budget-error { box-shadow: inset 3px 0 var(--error-color, #db4437); padding-left: 8px; }
+      .energy-row.budget-warning .value { color: var(--warning-color, #ff9800); }
+      .energy-row.budget-error .value { color: var(--error-color, #db4437); }
+      .budget-row { display: flex; align-items: center; gap: 8px; padding: 2px 0 6px 36px; }
+      .budget-bar {
+        flex: 1;
+        height: 6px;
+        border-radius: 3px;
+        background: var(--divider-color, rgba(0,0,0,0.12));
+        overflow: hidden;
+      }
+      .budget-fill { height: 100%; background: var(--success-color, #43a047); }
+      .budget-row.warning .budget-fill { background: var(--warning-color, #ff9800); }
+      .budget-row.error .budget-fill { background: var(--error-color, #db4437); }
+      .budget-label { font-size: 0.75em; color: var(--secondary-text-color); white-space: nowrap; }
+      .projection-basis { font-size: 0.75em; color: var(--secondary-text-color); }
+      .projection-basis.warning { color: var(--warning-color, #ff9800); }
+      .source-info {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+      .emoji { font-size: 1.4em; width: 28px; text-align: center; }
+      .label { color: var(--primary-text-color); }
+      .values {
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        text-align: right;
+      }
+      .value { font-weight: 500; color: var(--primary-text-color); }
+      .value.negative { color: var(--error-color, #db4437); }
+      .value.credit { color: var(--success-color, #43a047); }
+      .cost { font-size: 0.85em; color: var(--secondary-text-color); }
+      .cost.credit { color: var(--success-color, #43a047); }
+      .cost.warning { color: var(--warning-color, #ff9800); font-size: 0.75em; }
+      .incomplete { color: var(--warning-color, #ff9800); font-size: 0.75em; cursor: help; }
+      .estimate { font-size: 0.75em; color: var(--secondary-text-color); font-style: italic; }
+      .unit { font-size: 0.85em; color: var(--secondary-text-color); margin-left: 4px; }
+      .no-data { text-align: center; color: var(--secondary-text-color); padding: 20px; }
+      .chart { margin-left: auto; margin-right: 12px; line-height: 0; }
+      .chart svg { display: block; overflow: visible; }
+      .chart .bar { fill: var(--primary-color, #03a9f4); opacity: 0.7; }
+      .chart .bar.negative { fill: var(--success-color, #43a047); }
+      .chart .bar:hover { opacity: 1; }
+      .chart .line { fill: none; stroke: var(--primary-color, #03a9f4); stroke-width: 1.5; }
+      .chart .hit { fill: transparent; }
+      .emissions-cell {
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        flex: 0 0 7em;
+        margin-left: 12px;
+        font-size: 0.75em;
+        text-align: right;
+        color: var(--secondary-text-color);
+      }
+      .energy-row > .values { margin-left: auto; }
+      .energy-row > .chart + .values { margin-left: 0; }
+      .emissions-cell .value { font-size: 1.33em; color: var(--primary-text-color); }
+      .emissions-cell.avoided,
+      .emissions-cell.avoided .value { color: var(--success-color, #43a047); }
+      .kpi-badges {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-around;
+        gap: 8px;
+        padding: 12px 0;
+        border-bottom: 1px solid var(--divider-color, rgba(0,0,0,0.12));
+      }
+      .kpi-badge { display: flex; flex-direction: column; align-items: center; gap: 4px; }
+      .kpi-badge .ring-track { fill: none; stroke: var(--divider-color, rgba(0,0,0,0.12)); stroke-width: 4; }
+      .kpi-badge .ring { fill: none; stroke: var(--success-color, #43a047); stroke-width: 4; stroke-linecap: round; }
+      .kpi-badge text { fill: var(--primary-text-color); font-size: 11px; font-weight: 500; }
+      .kpi-label { font-size: 0.75em; color: var(--secondary-text-color); text-align: center; }
+      .compare { font-size: 0.75em; color: var(--secondary-text-color); }
+      .delta { font-weight: 500; }
+      .charge-row {
+        display: flex;
+        justify-content: space-between;
+        padding: 2px 0 2px 36px;
+        font-size: 0.85em;
+        color: var(--secondary-text-color);
+      }
+      .charge-row .label { color: var(--secondary-text-color); }
+      .columns-table { width: 100%; border-collapse: collapse; }
+      .columns-table th, .columns-table td {
+        padding: 8px 4px;
+        border-bottom: 1px solid var(--divider-color, rgba(0,0,0,0.12));
+        font-weight: normal;
+      }
+      .columns-table tbody th { text-align: left; white-space: nowrap; }
+      .columns-table tbody th .label { margin-left: 4px; }
+      .columns-table td { text-align: right; vertical-align: top; }
+      .columns-table td .value, .columns-table td .cost { display: block; }
+      .columns-table .column-label { text-align: right; font-size: 0.85em; color: var(--secondary-text-color); }
+      .columns-table tr.total th, .columns-table tr.total td {
+        font-weight: bold;
+        border-top: 2px solid var(--divider-color, rgba(0,0,0,0.12));
+      }
+      .columns-table tr:last-child th, .columns-table tr:last-child td { border-bottom: none; }
+      .net-metering-row {
+        background: var(--secondary-background-color, rgba(0,0,0,0.05));
+        border-radius: 8px;
+        margin: 8px 0;
+        padding: 8px 12px !important;
+      }
+      .net-metering-row.credit { background: rgba(67, 160, 71, 0.1); }
+      .net-metering-row.debit { background: rgba(219, 68, 55, 0.1); }
+    </style>
     `;
   }
 
+  connectedCallback() {
+    if (this._hass && this._config) this._requestUpdate();
+  }
+
   disconnectedCallback() {
+    clearTimeout(this._updateTimer);
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = null;
     if (this._unsubscribe) {
       this._unsubscribe();
       this._unsubscribe = null;
@@ -734,26 +4029,30 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
     this.attachShadow({ mode: 'open' });
     this._config = {};
     this._hass = null;
+    this._previewValues = new Map();
   }
 
   set hass(hass) {
     this._hass = hass;
     if (this._rendered) {
       this._updateEntityPickers();
+      this._updateFormulaStatus();
     }
   }
 
   setConfig(config) {
-    this._config = {
-      type: config.type,  // Preserve the card type for config-changed events
-      title: config.title || 'Energy Sources',
-      show_header: config.show_header !== false,
-      show_total: config.show_total !== false,
-      currency: config.currency || '$',
-      decimal_places: config.decimal_places ?? 2,
-      period: config.period || 'today',
-      sources: config.sources || []
-    };
+    // Keep the whole config, including options the editor has no fields
+    // for, so saving from the editor never drops anything set in YAML
+    const previous = this._config.sources || [];
+    this._config = JSON.parse(JSON.stringify(config || {}));
+    // Long source lists open collapsed to one-line summaries
+    const collapse = !this._rendered && (this._config.sources || []).length > 3;
+    this._config.sources = (this._config.sources || []).map((source, index) => ({
+      ...source,
+      ...(previous[index]?._labelCustomized && { _labelCustomized: true }),
+      ...(previous[index]?._emojiCustomized && { _emojiCustomized: true }),
+      ...((previous[index]?._collapsed || collapse) && { _collapsed: true })
+    }));
     // Only render on initial load, not on every config change
     // This prevents the editor from stealing focus during typing
     if (!this._rendered) {
@@ -770,6 +4069,7 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
         // Remove internal tracking properties
         delete clean._labelCustomized;
         delete clean._emojiCustomized;
+        delete clean._collapsed;
         return clean;
       })
     };
@@ -782,47 +4082,58 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
     this.dispatchEvent(event);
   }
 
+  _getPath(path) {
+    // Dotted paths into the config, e.g. "sources.0.calculate_from.import"
+    return path.split('.').reduce((value, key) => value?.[key], this._config);
+  }
+
+  _setPath(path, value) {
+    // Empty values remove the option so the card's default applies, and
+    // objects left empty (like calculate_from) are removed with it
+    const keys = path.split('.');
+    const parents = [this._config];
+    for (const key of keys.slice(0, -1)) {
+      const parent = parents[parents.length - 1];
+      if (typeof parent[key] !== 'object' || parent[key] === null) parent[key] = {};
+      parents.push(parent[key]);
+    }
+
+    const last = keys[keys.length - 1];
+    if (value === '' || value === null || value === undefined) {
+      delete parents[parents.length - 1][last];
+      for (let i = parents.length - 1; i > 0; i--) {
+        if (Array.isArray(parents[i]) || Object.keys(parents[i]).length > 0) break;
+        delete parents[i - 1][keys[i - 1]];
+      }
+    } else {
+      parents[parents.length - 1][last] = value;
+    }
+  }
+
+  _escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   _updateEntityPickers() {
     if (!this._hass) return;
-    const sources = this._config.sources || [];
 
     // Update all entity pickers with hass and their values
     // Use setTimeout to ensure custom elements are fully initialized
     const updatePickers = () => {
-      this.shadowRoot.querySelectorAll('.source-entity').forEach(picker => {
-        if (picker.updateComplete) {
-          // LitElement - wait for it
-          picker.updateComplete.then(() => {
-            picker.hass = this._hass;
-            const index = parseInt(picker.dataset.index);
-            if (sources[index]) {
-              picker.value = sources[index].entity || '';
-            }
-          });
-        } else {
+      this.shadowRoot.querySelectorAll('ha-entity-picker[data-path]').forEach(picker => {
+        const update = () => {
           picker.hass = this._hass;
-          const index = parseInt(picker.dataset.index);
-          if (sources[index]) {
-            picker.value = sources[index].entity || '';
-          }
-        }
-      });
-
-      this.shadowRoot.querySelectorAll('.source-rate-entity').forEach(picker => {
+          picker.value = this._getPath(picker.dataset.path) || '';
+        };
         if (picker.updateComplete) {
-          picker.updateComplete.then(() => {
-            picker.hass = this._hass;
-            const index = parseInt(picker.dataset.index);
-            if (sources[index]) {
-              picker.value = sources[index].rate_entity || '';
-            }
-          });
+          // LitElement - wait for it
+          picker.updateComplete.then(update);
         } else {
-          picker.hass = this._hass;
-          const index = parseInt(picker.dataset.index);
-          if (sources[index]) {
-            picker.value = sources[index].rate_entity || '';
-          }
+          update();
         }
       });
     };
@@ -832,8 +4143,58 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
     setTimeout(updatePickers, 100);
   }
 
+  _previewFormula(source, index) {
+    // Evaluate a source's cost formula the way the card does, with a sample
+    // value, a one-day range and the rate entity's current state
+    const entityNumber = entityId => {
+      const state = parseFloat(this._hass?.states?.[entityId]?.state);
+      return isNaN(state) ? undefined : state;
+    };
+
+    const value = this._previewValues.get(index) ?? 10;
+    const rate = entityNumber(source.rate_entity) ?? source.rate_static ?? 0;
+    const cost = new CostFormula(source.cost_formula).evaluateWith(
+      source.variables, { hours: 24, days: 1, value, rate }, entityNumber
+    );
+    return { value, rate, cost: source.invert_cost ? -cost : cost };
+  }
+
+  _updateFormulaStatus(index = null) {
+    const statuses = index === null
+      ? this.shadowRoot.querySelectorAll('.formula-status')
+      : this.shadowRoot.querySelectorAll(`.formula-status[data-index="${index}"]`);
+
+    statuses.forEach(status => {
+      const sourceIndex = parseInt(status.dataset.index);
+      const source = this._config.sources?.[sourceIndex];
+      if (!source?.cost_formula) {
+        status.className = 'formula-status';
+        status.textContent = 'Variables: value, rate, days, hours, variables and entity ids';
+        return;
+      }
+      try {
+        const { value, rate, cost } = this._previewFormula(source, sourceIndex);
+        const currency = this._config.currency || '$';
+        const unit = source.unit || DEFAULT_UNITS[source.type || 'default'] || 'kWh';
+        status.className = 'formula-status valid';
+        status.textContent = `✓ ${value} ${unit} at ${rate}/${unit} for one day = ${cost < 0 ? '-' : ''}${currency}${Math.abs(cost).toFixed(this._config.cost_decimal_places ?? 2)}`;
+      } catch (e) {
+        status.className = 'formula-status invalid';
+        status.textContent = `⚠️ ${e.message}`;
+      }
+    });
+  }
+
   render() {
     const sources = this._config.sources || [];
+    const netMetering = this._config.net_metering;
+    const period = this._config.period || 'today';
+    const customPeriod = !PERIOD_OPTIONS.some(p => p.value === period);
+    // Card options with no field here (columns, totals, budgets, KPIs and
+    // so on) are kept as set in YAML
+    const edited = ['type', 'title', 'show_header', 'show_total', 'currency', 'decimal_places', 'cost_decimal_places',
+      'period', 'period_entity', 'sources', 'net_metering'];
+    const yamlOnly = Object.keys(this._config).filter(key => !edited.includes(key));
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -863,7 +4224,7 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
           font-size: 12px;
           color: var(--secondary-text-color);
         }
-        .field input, .field select {
+        .field input, .field select, .field textarea {
           padding: 8px;
           border: 1px solid var(--divider-color);
           border-radius: 4px;
@@ -871,7 +4232,8 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
           color: var(--primary-text-color);
           font-size: 14px;
         }
-        .field input:focus, .field select:focus {
+        .field textarea { font-family: var(--code-font-family, monospace); resize: vertical; }
+        .field input:focus, .field select:focus, .field textarea:focus {
           outline: none;
           border-color: var(--primary-color);
         }
@@ -910,6 +4272,45 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
           font-size: 12px;
         }
         .remove-btn:hover { opacity: 0.8; }
+        .source-card.collapsed .source-header { margin-bottom: 4px; }
+        .source-card.dragging { opacity: 0.5; }
+        .source-card.drop-target { outline: 2px dashed var(--primary-color); }
+        .drag-handle {
+          cursor: grab;
+          color: var(--secondary-text-color);
+          font-size: 18px;
+          padding: 0 8px 0 0;
+          user-select: none;
+        }
+        .collapse-btn {
+          flex: 1;
+          border: none;
+          background: none;
+          padding: 0;
+          color: var(--primary-text-color);
+          font-size: 14px;
+          text-align: left;
+          cursor: pointer;
+        }
+        .chevron { width: 12px; color: var(--secondary-text-color); }
+        .source-actions { display: flex; gap: 4px; align-items: center; }
+        .icon-btn {
+          background: none;
+          border: 1px solid var(--divider-color);
+          border-radius: 4px;
+          padding: 3px 8px;
+          color: var(--primary-text-color);
+          cursor: pointer;
+          font-size: 12px;
+        }
+        .icon-btn:disabled { opacity: 0.3; cursor: default; }
+        .source-summary {
+          font-size: 12px;
+          color: var(--secondary-text-color);
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
         .add-btn {
           background: var(--primary-color);
           color: white;
@@ -937,6 +4338,12 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
         }
         .checkbox-row input[type="checkbox"] { width: 18px; height: 18px; }
         .checkbox-row label { font-size: 13px; color: var(--secondary-text-color); }
+        .hint { font-size: 12px; color: var(--secondary-text-color); margin-bottom: 12px; }
+        .formula-status { font-size: 12px; color: var(--secondary-text-color); }
+        .formula-status.valid { color: var(--success-color, #43a047); }
+        .formula-status.invalid { color: var(--error-color, #db4437); }
+        .preview-value { width: 80px; }
+        .yaml-note { font-size: 12px; color: var(--secondary-text-color); margin-top: 12px; font-style: italic; }
       </style>
 
       <div class="editor">
@@ -944,31 +4351,45 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
           <div class="section-title">General Settings</div>
           <div class="field" style="margin-bottom: 12px;">
             <label>Card Title</label>
-            <input type="text" id="title" value="${this._config.title || ''}" placeholder="Energy Sources">
+            <input type="text" data-path="title" value="${this._escapeHtml(this._config.title)}" placeholder="Energy Sources">
           </div>
           <div class="row">
             <div class="field">
               <label>Currency Symbol</label>
-              <input type="text" id="currency" value="${this._config.currency || '$'}" style="width: 60px;">
+              <input type="text" data-path="currency" value="${this._escapeHtml(this._config.currency)}" placeholder="$" style="width: 60px;">
             </div>
             <div class="field">
-              <label>Decimal Places</label>
-              <input type="number" id="decimal_places" value="${this._config.decimal_places ?? 2}" min="0" max="4" style="width: 60px;">
+              <label>Energy Decimals</label>
+              <input type="number" data-path="decimal_places" data-kind="int" value="${this._config.decimal_places ?? ''}" min="0" max="4" placeholder="2" style="width: 60px;">
             </div>
             <div class="field">
-              <label>Time Period</label>
-              <select id="period">
-                ${PERIOD_OPTIONS.map(p => `<option value="${p.value}" ${this._config.period === p.value ? 'selected' : ''}>${p.label}</option>`).join('')}
-              </select>
+              <label>Cost Decimals</label>
+              <input type="number" data-path="cost_decimal_places" data-kind="int" value="${this._config.cost_decimal_places ?? ''}" min="0" max="4" placeholder="2" style="width: 60px;">
             </div>
           </div>
           <div class="switch-row">
             <label>Show Header</label>
-            <input type="checkbox" id="show_header" ${this._config.show_header !== false ? 'checked' : ''}>
+            <input type="checkbox" data-path="show_header" data-kind="checkbox" ${this._config.show_header !== false ? 'checked' : ''}>
           </div>
           <div class="switch-row">
             <label>Show Total Cost</label>
-            <input type="checkbox" id="show_total" ${this._config.show_total !== false ? 'checked' : ''}>
+            <input type="checkbox" data-path="show_total" data-kind="checkbox" ${this._config.show_total !== false ? 'checked' : ''}>
+          </div>
+        </div>
+
+        <div class="section">
+          <div class="section-title">Period</div>
+          <div class="hint">Used when the card is not on the Energy Dashboard.</div>
+          <div class="field" style="margin-bottom: 12px;">
+            <label>Time Period</label>
+            <select id="period">
+              ${PERIOD_OPTIONS.map(p => `<option value="${p.value}" ${period === p.value ? 'selected' : ''}>${p.label}</option>`).join('')}
+              ${customPeriod ? '<option value="" selected>Custom (set in YAML)</option>' : ''}
+            </select>
+          </div>
+          <div class="field">
+            <label>Period Entity (e.g. an input_select naming the period; overrides the period above)</label>
+            <ha-entity-picker data-path="period_entity" allow-custom-entity></ha-entity-picker>
           </div>
         </div>
 
@@ -979,31 +4400,128 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
           </div>
           <button class="add-btn" id="add-source">+ Add Energy Source</button>
         </div>
+
+        <div class="section">
+          <div class="section-title">Net Metering</div>
+          <div class="switch-row">
+            <label>Show a net metering row (import minus export)</label>
+            <input type="checkbox" id="net-metering-enabled" ${netMetering ? 'checked' : ''}>
+          </div>
+          ${netMetering ? this._renderNetMetering(netMetering) : ''}
+        </div>
+        ${yamlOnly.length > 0 ? `
+          <div class="yaml-note">Also set in YAML: ${yamlOnly.map(key => this._escapeHtml(key)).join(', ')}</div>
+        ` : ''}
       </div>
     `;
 
     this._rendered = true;
     this._attachEventListeners();
+    this._updateFormulaStatus();
     // Delay entity picker update to ensure elements are in DOM
     requestAnimationFrame(() => {
       this._updateEntityPickers();
     });
   }
 
+  _renderNetMetering(netMetering) {
+    return `
+      <div class="row">
+        <div class="field">
+          <label>Import Entity</label>
+          <ha-entity-picker data-path="net_metering.import_entity" allow-custom-entity></ha-entity-picker>
+        </div>
+        <div class="field">
+          <label>Export Entity</label>
+          <ha-entity-picker data-path="net_metering.export_entity" allow-custom-entity></ha-entity-picker>
+        </div>
+      </div>
+      <div class="row">
+        <div class="field">
+          <label>Rate Entity ($/unit)</label>
+          <ha-entity-picker data-path="net_metering.rate_entity" allow-custom-entity></ha-entity-picker>
+        </div>
+        <div class="field" style="flex: 0 0 80px;">
+          <label>Or Static Rate</label>
+          <input type="number" data-path="net_metering.rate_static" data-kind="number" value="${netMetering.rate_static ?? ''}" step="0.01" placeholder="0.12">
+        </div>
+      </div>
+      <div class="row">
+        <div class="field">
+          <label>Import Rate (number or entity)</label>
+          <input type="text" data-path="net_metering.import_rate" data-kind="rate" value="${this._escapeHtml(netMetering.import_rate ?? '')}" placeholder="Rate above">
+        </div>
+        <div class="field">
+          <label>Export Rate (number or entity)</label>
+          <input type="text" data-path="net_metering.export_rate" data-kind="rate" value="${this._escapeHtml(netMetering.export_rate ?? '')}" placeholder="Import rate">
+        </div>
+      </div>
+      <div class="row">
+        <div class="field">
+          <label>True-up Date (MM-DD)</label>
+          <input type="text" data-path="net_metering.true_up_date" value="${this._escapeHtml(netMetering.true_up_date ?? '')}" placeholder="No banking">
+        </div>
+        <div class="field">
+          <label>Bank Credits As</label>
+          <select id="net-metering-banking">
+            <option value="cost" ${netMetering.banking !== 'energy' ? 'selected' : ''}>Money</option>
+            <option value="energy" ${netMetering.banking === 'energy' ? 'selected' : ''}>Energy</option>
+          </select>
+        </div>
+        <div class="field" style="flex: 0 0 80px;">
+          <label>Surplus Rate</label>
+          <input type="number" data-path="net_metering.surplus_rate" data-kind="number" value="${netMetering.surplus_rate ?? ''}" step="0.01" placeholder="0">
+        </div>
+      </div>
+      <div class="row">
+        <div class="field emoji-input">
+          <label>Icon</label>
+          <input type="text" data-path="net_metering.emoji" value="${this._escapeHtml(netMetering.emoji)}" placeholder="⚡" maxlength="2">
+        </div>
+        <div class="field">
+          <label>Label</label>
+          <input type="text" data-path="net_metering.label" value="${this._escapeHtml(netMetering.label)}" placeholder="Grid Net (Metered)">
+        </div>
+        <div class="field" style="flex: 0 0 80px;">
+          <label>Unit</label>
+          <input type="text" data-path="net_metering.unit" value="${this._escapeHtml(netMetering.unit)}" placeholder="kWh">
+        </div>
+      </div>
+    `;
+  }
+
   _renderSourceCard(source, index) {
     const type = source.type || 'default';
     const emoji = source.emoji || DEFAULT_EMOJIS[type] || '📊';
     const label = source.label || DEFAULT_LABELS[type] || 'Energy';
+    const calculated = Boolean(source.calculate_from);
+    const power = !calculated && Boolean(source.power_entity);
+    const path = `sources.${index}`;
+
+    // Options with no field here are still saved; list them so it is clear
+    // they are in effect
+    const edited = ['type', 'emoji', 'label', 'entity', 'power_entity', 'calculate_from', 'unit', 'rate_entity', 'rate_static',
+      'cost_formula', 'show_cost', 'invert_cost', 'hide_if_zero', '_labelCustomized', '_emojiCustomized', '_collapsed'];
+    const count = this._config.sources.length;
+    const yamlOnly = Object.keys(source).filter(key => !edited.includes(key));
 
     return `
-      <div class="source-card" data-index="${index}">
+      <div class="source-card ${source._collapsed ? 'collapsed' : ''}" data-index="${index}">
         <div class="source-header">
-          <div class="source-title">
-            <span>${emoji}</span>
-            <span>${label}</span>
+          <span class="drag-handle" data-index="${index}" title="Drag to reorder">⠿</span>
+          <button class="source-title collapse-btn" data-index="${index}" aria-expanded="${!source._collapsed}">
+            <span class="chevron">${source._collapsed ? '▸' : '▾'}</span>
+            <span>${this._escapeHtml(emoji)}</span>
+            <span>${this._escapeHtml(label)}</span>
+          </button>
+          <div class="source-actions">
+            <button class="icon-btn move-btn" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move ${this._escapeHtml(label)} up">▲</button>
+            <button class="icon-btn move-btn" data-index="${index}" data-offset="1" ${index === count - 1 ? 'disabled' : ''} aria-label="Move ${this._escapeHtml(label)} down">▼</button>
+            <button class="icon-btn duplicate-btn" data-index="${index}" aria-label="Duplicate ${this._escapeHtml(label)}">Duplicate</button>
+            <button class="remove-btn" data-index="${index}">Remove</button>
           </div>
-          <button class="remove-btn" data-index="${index}">Remove</button>
         </div>
+        ${source._collapsed ? `<div class="source-summary">${this._escapeHtml(this._summarizeSource(source))}</div>` : `
 
         <div class="row">
           <div class="field">
@@ -1014,90 +4532,172 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
           </div>
           <div class="field emoji-input">
             <label>Icon</label>
-            <input type="text" class="source-emoji" data-index="${index}" value="${emoji}" maxlength="2">
+            <input type="text" class="source-emoji" data-index="${index}" value="${this._escapeHtml(emoji)}" maxlength="2">
           </div>
         </div>
 
         <div class="field" style="margin-bottom: 12px;">
           <label>Label</label>
-          <input type="text" class="source-label" data-index="${index}" value="${label}" placeholder="Source name">
+          <input type="text" class="source-label" data-index="${index}" value="${this._escapeHtml(label)}" placeholder="Source name">
         </div>
 
         <div class="field" style="margin-bottom: 12px;">
-          <label>Energy Entity (sensor with kWh, m³, etc.)</label>
-          <ha-entity-picker
-            class="source-entity"
-            data-index="${index}"
-            allow-custom-entity
-          ></ha-entity-picker>
+          <label>Energy From</label>
+          <select class="source-mode" data-index="${index}">
+            <option value="entity" ${calculated || power ? '' : 'selected'}>Energy entity</option>
+            <option value="power" ${power ? 'selected' : ''}>Power entity (estimated)</option>
+            <option value="calculated" ${calculated ? 'selected' : ''}>Calculated (import minus export)</option>
+          </select>
         </div>
 
+        ${calculated ? `
+          <div class="row">
+            <div class="field">
+              <label>Import Entity</label>
+              <ha-entity-picker data-path="${path}.calculate_from.import" allow-custom-entity></ha-entity-picker>
+            </div>
+            <div class="field">
+              <label>Export Entity</label>
+              <ha-entity-picker data-path="${path}.calculate_from.export" allow-custom-entity></ha-entity-picker>
+            </div>
+          </div>
+        ` : power ? `
+          <div class="field" style="margin-bottom: 12px;">
+            <label>Power Entity (sensor with W or kW)</label>
+            <ha-entity-picker data-path="${path}.power_entity" allow-custom-entity></ha-entity-picker>
+          </div>
+        ` : `
+          <div class="field" style="margin-bottom: 12px;">
+            <label>Energy Entity (sensor with kWh, m³, etc.)</label>
+            <ha-entity-picker data-path="${path}.entity" allow-custom-entity></ha-entity-picker>
+          </div>
+        `}
+
         <div class="field" style="margin-bottom: 12px;">
           <label>Unit</label>
-          <input type="text" class="source-unit" data-index="${index}" value="${source.unit || DEFAULT_UNITS[type] || 'kWh'}" placeholder="kWh">
+          <input type="text" data-path="${path}.unit" value="${this._escapeHtml(source.unit || DEFAULT_UNITS[type] || 'kWh')}" placeholder="kWh">
         </div>
 
         <div class="row">
           <div class="field">
             <label>Rate Entity ($/unit)</label>
-            <ha-entity-picker
-              class="source-rate-entity"
-              data-index="${index}"
-              allow-custom-entity
-            ></ha-entity-picker>
+            <ha-entity-picker data-path="${path}.rate_entity" allow-custom-entity></ha-entity-picker>
           </div>
           <div class="field" style="flex: 0 0 80px;">
             <label>Or Static Rate</label>
-            <input type="number" class="source-rate-static" data-index="${index}" value="${source.rate_static ?? ''}" step="0.01" placeholder="0.12">
+            <input type="number" data-path="${path}.rate_static" data-kind="number" value="${source.rate_static ?? ''}" step="0.01" placeholder="0.12">
+          </div>
+        </div>
+
+        <div class="field" style="margin-bottom: 4px;">
+          <label>Cost Formula (optional)</label>
+          <textarea class="source-formula" data-index="${index}" rows="2" placeholder="value * rate">${this._escapeHtml(source.cost_formula)}</textarea>
+        </div>
+        <div class="row" style="align-items: center;">
+          <span class="formula-status" data-index="${index}"></span>
+          <div class="field" style="flex: 0 0 auto;">
+            <label>Preview value</label>
+            <input type="number" class="preview-value" data-index="${index}" value="${this._previewValues.get(index) ?? 10}" step="any">
           </div>
         </div>
 
         <div class="checkbox-row">
-          <input type="checkbox" class="source-show-cost" data-index="${index}" ${source.show_cost !== false ? 'checked' : ''}>
+          <input type="checkbox" data-path="${path}.show_cost" data-kind="checkbox" ${source.show_cost !== false ? 'checked' : ''}>
           <label>Show cost</label>
         </div>
 
         <div class="checkbox-row">
-          <input type="checkbox" class="source-invert-cost" data-index="${index}" ${source.invert_cost ? 'checked' : ''}>
+          <input type="checkbox" data-path="${path}.invert_cost" data-kind="checkbox" ${source.invert_cost ? 'checked' : ''}>
           <label>Invert cost (for exports/credits)</label>
         </div>
 
         <div class="checkbox-row">
-          <input type="checkbox" class="source-hide-zero" data-index="${index}" ${source.hide_if_zero ? 'checked' : ''}>
+          <input type="checkbox" data-path="${path}.hide_if_zero" data-kind="checkbox" ${source.hide_if_zero ? 'checked' : ''}>
           <label>Hide when zero</label>
         </div>
+
+        ${yamlOnly.length > 0 ? `
+          <div class="yaml-note">Also set in YAML: ${yamlOnly.map(key => this._escapeHtml(key)).join(', ')}</div>
+        ` : ''}
+        `}
       </div>
     `;
   }
 
-  _attachEventListeners() {
-    this.shadowRoot.getElementById('title').addEventListener('input', (e) => {
-      this._config.title = e.target.value;
-      this._fireConfigChanged();
-    });
+  _summarizeSource(source) {
+    // One line for a collapsed card: where the energy and its price come from
+    const unit = source.unit || DEFAULT_UNITS[source.type || 'default'] || 'kWh';
+    const energy = source.calculate_from
+      ? `${source.calculate_from.import || '?'} − ${source.calculate_from.export || '?'}`
+      : source.entity || (source.power_entity ? `${source.power_entity} (power)` : 'No entity');
+    let price = '';
+    if (source.show_cost === false) {
+      price = 'no cost';
+    } else if (source.cost_formula) {
+      price = `formula: ${source.cost_formula}`;
+    } else if (source.rate_entity) {
+      price = `rate: ${source.rate_entity}`;
+    } else if (typeof source.rate_static === 'number') {
+      price = `${this._config.currency || '$'}${source.rate_static}/${unit}`;
+    }
+    return [energy, unit, price].filter(Boolean).join(' · ');
+  }
 
-    this.shadowRoot.getElementById('currency').addEventListener('input', (e) => {
-      this._config.currency = e.target.value;
-      this._fireConfigChanged();
+  _moveSource(from, to) {
+    const sources = this._config.sources;
+    if (from === to || to < 0 || to >= sources.length) return;
+    sources.splice(to, 0, ...sources.splice(from, 1));
+    this._previewValues.clear();
+    this._fireConfigChanged();
+    this.render();
+  }
+
+  _attachEventListeners() {
+    // Plain fields write straight to their config path
+    this.shadowRoot.querySelectorAll('input[data-path]').forEach(input => {
+      const kind = input.dataset.kind;
+      input.addEventListener(kind === 'checkbox' ? 'change' : 'input', (e) => {
+        let value = e.target.value;
+        if (kind === 'checkbox') value = e.target.checked;
+        if (kind === 'number') value = value === '' ? null : parseFloat(value);
+        if (kind === 'int') value = value === '' ? null : parseInt(value);
+        // A rate is a number or an entity id
+        if (kind === 'rate') value = value.trim() === '' ? null : isNaN(Number(value)) ? value.trim() : Number(value);
+        if (typeof value === 'number' && isNaN(value)) return;
+        this._setPath(input.dataset.path, value);
+        this._fireConfigChanged();
+        // Rates and units show up in the formula previews
+        this._updateFormulaStatus();
+      });
     });
 
-    this.shadowRoot.getElementById('decimal_places').addEventListener('input', (e) => {
-      this._config.decimal_places = parseInt(e.target.value) || 2;
-      this._fireConfigChanged();
+    this.shadowRoot.querySelectorAll('ha-entity-picker[data-path]').forEach(picker => {
+      picker.addEventListener('value-changed', (e) => {
+        this._setPath(picker.dataset.path, e.detail.value || '');
+        this._fireConfigChanged();
+        this._updateFormulaStatus();
+      });
     });
 
     this.shadowRoot.getElementById('period').addEventListener('change', (e) => {
+      // The custom entry keeps a period set in YAML
+      if (!e.target.value) return;
       this._config.period = e.target.value;
       this._fireConfigChanged();
     });
 
-    this.shadowRoot.getElementById('show_header').addEventListener('change', (e) => {
-      this._config.show_header = e.target.checked;
+    this.shadowRoot.getElementById('net-metering-enabled').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        this._config.net_metering = { import_entity: '', export_entity: '' };
+      } else {
+        delete this._config.net_metering;
+      }
       this._fireConfigChanged();
+      this.render();
     });
 
-    this.shadowRoot.getElementById('show_total').addEventListener('change', (e) => {
-      this._config.show_total = e.target.checked;
+    this.shadowRoot.getElementById('net-metering-banking')?.addEventListener('change', (e) => {
+      this._setPath('net_metering.banking', e.target.value === 'cost' ? null : e.target.value);
       this._fireConfigChanged();
     });
 
@@ -1115,10 +4715,75 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
       this.render();
     });
 
+    this.shadowRoot.querySelectorAll('.collapse-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const source = this._config.sources[parseInt(btn.dataset.index)];
+        source._collapsed = !source._collapsed;
+        this.render();
+      });
+    });
+
+    this.shadowRoot.querySelectorAll('.move-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = parseInt(btn.dataset.index);
+        const to = index + parseInt(btn.dataset.offset);
+        this._moveSource(index, to);
+        // Keep keyboard focus on the moved source's buttons
+        const buttons = [...this.shadowRoot.querySelectorAll(`.move-btn[data-index="${to}"]:not([disabled])`)];
+        (buttons.find(button => button.dataset.offset === btn.dataset.offset) || buttons[0])?.focus();
+      });
+    });
+
+    this.shadowRoot.querySelectorAll('.duplicate-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = parseInt(btn.dataset.index);
+        const copy = JSON.parse(JSON.stringify(this._config.sources[index]));
+        copy.label = `${copy.label || DEFAULT_LABELS[copy.type || 'default'] || 'Energy'} (copy)`;
+        copy._labelCustomized = true;
+        delete copy._collapsed;
+        this._config.sources.splice(index + 1, 0, copy);
+        this._previewValues.clear();
+        this._fireConfigChanged();
+        this.render();
+      });
+    });
+
+    // Cards become draggable only while their handle is held, so text in
+    // their inputs can still be selected
+    let dragIndex = null;
+    this.shadowRoot.querySelectorAll('.source-card').forEach(card => {
+      const handle = card.querySelector('.drag-handle');
+      handle.addEventListener('mousedown', () => { card.draggable = true; });
+      handle.addEventListener('mouseup', () => { card.draggable = false; });
+      card.addEventListener('dragstart', (e) => {
+        dragIndex = parseInt(card.dataset.index);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(dragIndex));
+        card.classList.add('dragging');
+      });
+      card.addEventListener('dragend', () => {
+        card.draggable = false;
+        card.classList.remove('dragging');
+        dragIndex = null;
+      });
+      card.addEventListener('dragover', (e) => {
+        if (dragIndex === null) return;
+        e.preventDefault();
+        card.classList.add('drop-target');
+      });
+      card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+      card.addEventListener('drop', (e) => {
+        e.preventDefault();
+        card.classList.remove('drop-target');
+        if (dragIndex !== null) this._moveSource(dragIndex, parseInt(card.dataset.index));
+      });
+    });
+
     this.shadowRoot.querySelectorAll('.remove-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const index = parseInt(e.target.dataset.index);
         this._config.sources.splice(index, 1);
+        this._previewValues.clear();
         this._fireConfigChanged();
         this.render();
       });
@@ -1141,6 +4806,26 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
       });
     });
 
+    this.shadowRoot.querySelectorAll('.source-mode').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const source = this._config.sources[parseInt(e.target.dataset.index)];
+        // Carry the current entity over (as the import side when calculated)
+        const entity = source.entity || source.power_entity || source.calculate_from?.import || '';
+        delete source.entity;
+        delete source.power_entity;
+        delete source.calculate_from;
+        if (e.target.value === 'calculated') {
+          source.calculate_from = { import: entity, export: '' };
+        } else if (e.target.value === 'power') {
+          source.power_entity = entity;
+        } else {
+          source.entity = entity;
+        }
+        this._fireConfigChanged();
+        this.render();
+      });
+    });
+
     this.shadowRoot.querySelectorAll('.source-emoji').forEach(input => {
       input.addEventListener('input', (e) => {
         const index = parseInt(e.target.dataset.index);
@@ -1159,60 +4844,22 @@ class CustomEnergySourcesCardEditor extends HTMLElement {
       });
     });
 
-    this.shadowRoot.querySelectorAll('.source-entity').forEach(picker => {
-      picker.addEventListener('value-changed', (e) => {
-        const index = parseInt(picker.dataset.index);
-        this._config.sources[index].entity = e.detail.value || '';
-        this._fireConfigChanged();
-      });
-    });
-
-    this.shadowRoot.querySelectorAll('.source-unit').forEach(input => {
-      input.addEventListener('input', (e) => {
+    this.shadowRoot.querySelectorAll('.source-formula').forEach(textarea => {
+      textarea.addEventListener('input', (e) => {
         const index = parseInt(e.target.dataset.index);
-        this._config.sources[index].unit = e.target.value;
-        this._fireConfigChanged();
-      });
-    });
-
-    this.shadowRoot.querySelectorAll('.source-rate-entity').forEach(picker => {
-      picker.addEventListener('value-changed', (e) => {
-        const index = parseInt(picker.dataset.index);
-        this._config.sources[index].rate_entity = e.detail.value || '';
+        this._setPath(`sources.${index}.cost_formula`, e.target.value.trim() ? e.target.value : '');
         this._fireConfigChanged();
+        this._updateFormulaStatus(index);
       });
     });
 
-    this.shadowRoot.querySelectorAll('.source-rate-static').forEach(input => {
+    this.shadowRoot.querySelectorAll('.preview-value').forEach(input => {
       input.addEventListener('input', (e) => {
         const index = parseInt(e.target.dataset.index);
-        const val = e.target.value;
-        this._config.sources[index].rate_static = val ? parseFloat(val) : null;
-        this._fireConfigChanged();
-      });
-    });
-
-    this.shadowRoot.querySelectorAll('.source-show-cost').forEach(input => {
-      input.addEventListener('change', (e) => {
-        const index = parseInt(e.target.dataset.index);
-        this._config.sources[index].show_cost = e.target.checked;
-        this._fireConfigChanged();
-      });
-    });
-
-    this.shadowRoot.querySelectorAll('.source-invert-cost').forEach(input => {
-      input.addEventListener('change', (e) => {
-        const index = parseInt(e.target.dataset.index);
-        this._config.sources[index].invert_cost = e.target.checked;
-        this._fireConfigChanged();
-      });
-    });
-
-    this.shadowRoot.querySelectorAll('.source-hide-zero').forEach(input => {
-      input.addEventListener('change', (e) => {
-        const index = parseInt(e.target.dataset.index);
-        this._config.sources[index].hide_if_zero = e.target.checked;
-        this._fireConfigChanged();
+        const value = parseFloat(e.target.value);
+        if (isNaN(value)) return;
+        this._previewValues.set(index, value);
+        this._updateFormulaStatus(index);
       });
     });
   }
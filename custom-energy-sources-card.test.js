@@ -0,0 +1,1300 @@
+/**
+ * Behaviour tests for the card's calculations. Run with `node --test`.
+ *
+ * The card is a browser script, so it is loaded into a VM context with just
+ * enough of a DOM for it to define its elements.
+ */
+
+// Half-hour offset, so bucket alignment is not accidentally UTC-aligned
+process.env.TZ = 'Asia/Kolkata';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const HOUR = 60 * 60 * 1000;
+
+// The card's console, so tests can capture what it logs
+const cardConsole = { ...console, info() {}, debug() {} };
+
+function loadCard() {
+  class HTMLElement {
+    attachShadow() {
+      this.shadowRoot = {
+        innerHTML: '',
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        getElementById: () => null
+      };
+      return this.shadowRoot;
+    }
+    dispatchEvent() {}
+  }
+  const context = {
+    HTMLElement,
+    customElements: { define() {} },
+    document: { createElement: () => ({}) },
+    CustomEvent: class CustomEvent {
+      constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    },
+    console: cardConsole,
+    setTimeout,
+    clearTimeout,
+    Promise,
+    Date
+  };
+  context.window = context;
+  vm.createContext(context);
+  const source = fs.readFileSync(path.join(__dirname, 'custom-energy-sources-card.js'), 'utf8');
+  return vm.runInContext(
+    `${source}\n;({ CustomEnergySourcesCard, CustomEnergySourcesCardEditor, CostFormula, DEFAULT_LABELS });`,
+    context
+  );
+}
+
+const { CustomEnergySourcesCard, CustomEnergySourcesCardEditor, CostFormula, DEFAULT_LABELS } = loadCard();
+
+function createCard(config, states = {}) {
+  const card = new CustomEnergySourcesCard();
+  card.setConfig(config);
+  card._hass = { states };
+  return card;
+}
+
+function createData(start, end, energy = {}, extra = {}) {
+  return {
+    range: { start, end },
+    period: 'hour',
+    energy,
+    hourly: {},
+    bySource: new Map(),
+    loaded: true,
+    ...extra
+  };
+}
+
+// Hourly statistics of a meter reading the given sums
+function meterStats(start, sums) {
+  return sums.map((sum, index) => ({ start: start.getTime() + index * HOUR, sum }));
+}
+
+// ---------------------------------------------------------------------------
+// Time-of-use pricing
+// ---------------------------------------------------------------------------
+
+test('the rate for an hour carries the last known rate across gaps', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const rates = [{ start: 2 * HOUR, mean: 0.2 }, { start: 5 * HOUR, mean: 0.5 }];
+  assert.equal(card._getRateAt(rates, 0), 0.2, 'the first rate applies before it');
+  assert.equal(card._getRateAt(rates, 2 * HOUR), 0.2);
+  assert.equal(card._getRateAt(rates, 4 * HOUR), 0.2);
+  assert.equal(card._getRateAt(rates, 7 * HOUR), 0.5);
+});
+
+function timeOfUseData() {
+  const start = new Date(Date.UTC(2026, 3, 18, 0));
+  // 1, 2 and 3 kWh in the first three hours; the hour before is the baseline
+  return createData(start, new Date(start.getTime() + 3 * HOUR), { 'sensor.e': { value: 6, series: [] } }, {
+    hourly: {
+      'sensor.e': meterStats(new Date(start.getTime() - HOUR), [10, 11, 13, 16]),
+      'sensor.rate': [
+        { start: start.getTime() - HOUR, mean: 5 },
+        { start: start.getTime(), mean: 0.1 },
+        { start: start.getTime() + 2 * HOUR, mean: 0.3 }
+      ]
+    }
+  });
+}
+
+test('each hour is priced at the rate recorded for it', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', rate_entity: 'sensor.rate' }] }, {
+    'sensor.rate': { state: '9', attributes: {} }
+  });
+  const source = card._config.sources[0];
+  const data = timeOfUseData();
+  // 1 × 0.1 + 2 × 0.1 + 3 × 0.3, ignoring the baseline hour's rate
+  assert.ok(Math.abs(card._calculateTimeOfUseCost(source, data) - 1.2) < 1e-9);
+  assert.ok(Math.abs(card._calculateCost(source, 6, data) - 1.2) < 1e-9);
+  assert.equal(card._costDetails.get(source).method, 'history');
+});
+
+test('rate_mode current and missing rate history use the current state', () => {
+  const states = { 'sensor.rate': { state: '0.5', attributes: {} } };
+  const card = createCard({
+    sources: [
+      { entity: 'sensor.e', rate_entity: 'sensor.rate', rate_mode: 'current' },
+      { entity: 'sensor.e', rate_entity: 'sensor.rate' }
+    ]
+  }, states);
+  const [current, historical] = card._config.sources;
+  assert.ok(Math.abs(card._calculateCost(current, 6, timeOfUseData()) - 3) < 1e-9);
+
+  const withoutHistory = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  assert.ok(Math.abs(card._calculateCost(historical, 6, withoutHistory) - 3) < 1e-9);
+  assert.equal(card._costDetails.get(historical).method, 'entity');
+});
+
+// ---------------------------------------------------------------------------
+// Cost formulas
+// ---------------------------------------------------------------------------
+
+test('formulas evaluate arithmetic, functions and variables', () => {
+  const formula = new CostFormula('max(value - 10, 0) * rate + (days > 1 ? 2 : 1)');
+  assert.equal(formula.evaluate({ value: 30, rate: 0.5, days: 1 }), 11);
+});
+
+test('formulas cannot reach Object.prototype members', () => {
+  for (const text of ['constructor(1)', 'toString()', 'valueOf()', 'hasOwnProperty(1)']) {
+    assert.throws(() => new CostFormula(text).evaluate({}), /Unknown function/, text);
+  }
+});
+
+test('formula errors are reported for the range they happened in', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', cost_formula: 'value * missing' }] });
+  const source = card._config.sources[0];
+  const current = createData(new Date(), new Date(), { 'sensor.e': { value: 1, series: [] } });
+  const previous = createData(new Date(), new Date(), { 'sensor.e': { value: 1, series: [] } });
+
+  card._calculateCost(source, 1, previous);
+  assert.ok(card._getFormulaError(source, previous));
+  assert.equal(card._getFormulaError(source, current), null);
+});
+
+// ---------------------------------------------------------------------------
+// Tiered rates
+// ---------------------------------------------------------------------------
+
+function tieredSource(extra = {}) {
+  return {
+    entity: 'sensor.e',
+    tiers: [{ rate: 0.3 }, { up_to: 100, rate: 0.1 }, { up_to: 50, rate: 0.05 }],
+    ...extra
+  };
+}
+
+test('tiers are sorted by threshold with the open-ended tier last', () => {
+  const card = createCard({ sources: [tieredSource()] });
+  assert.deepEqual(
+    card._config.sources[0].tiers.map(tier => tier.up_to),
+    [50, 100, null]
+  );
+});
+
+test('tiers apply each rate to the usage within its block', () => {
+  const card = createCard({ sources: [tieredSource()] });
+  const source = card._config.sources[0];
+  const data = createData(new Date(2026, 0, 1), new Date(2026, 0, 2));
+  // 50 * 0.05 + 50 * 0.1 + 20 * 0.3
+  assert.ok(Math.abs(card._calculateTieredCost(source, 120, data) - 13.5) < 1e-9);
+});
+
+test('tier thresholds scale by the full period, not the elapsed part', () => {
+  const card = createCard({ sources: [tieredSource({ tier_period: 'month' })] });
+  const source = card._config.sources[0];
+  // A month in progress, ten days in, has the whole allowance, February too
+  const month = createData(new Date(2026, 3, 1), new Date(2026, 3, 11));
+  assert.equal(card._getTierScale(source, month), 1);
+  assert.equal(card._getTierScale(source, createData(new Date(2026, 1, 1), new Date(2026, 1, 3))), 1);
+
+  // A rolling range is pro-rated by the length of the month it starts in
+  const rolling = createData(new Date(2026, 3, 1, 12), new Date(2026, 3, 8, 12));
+  assert.ok(Math.abs(card._getTierScale(source, rolling) - 7 / 30) < 1e-9);
+});
+
+test('tier thresholds scale by the billing cycle length', () => {
+  const card = createCard({ sources: [tieredSource({ tier_period: 'month' })] });
+  const source = card._config.sources[0];
+  const data = createData(new Date(2026, 3, 15), new Date(2026, 3, 18), {}, {
+    cycleEnd: new Date(2026, 4, 15)
+  });
+  assert.equal(card._getTierScale(source, data), 1);
+});
+
+// ---------------------------------------------------------------------------
+// Standing charges and taxes
+// ---------------------------------------------------------------------------
+
+test('standing charges count the whole day in progress', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', standing_charge: 0.5 }] });
+  const source = card._config.sources[0];
+  const today = createData(new Date(2026, 3, 18), new Date(2026, 3, 18, 9, 30));
+  const charges = card._calculateCharges(source, 0, today);
+  assert.equal(charges.length, 1);
+  assert.equal(charges[0].amount, 0.5);
+});
+
+test('monthly standing charges charge each calendar month in full', () => {
+  const card = createCard({
+    sources: [{ entity: 'sensor.e', standing_charge: 12, standing_charge_period: 'month' }]
+  });
+  const source = card._config.sources[0];
+  const charge = (start, end, extra) => card._calculateCharges(source, 0, createData(start, end, {}, extra))[0];
+
+  const february = charge(new Date(2026, 1, 1), new Date(2026, 1, 10, 12));
+  assert.equal(february.label, 'Standing charge (28 days)');
+  assert.equal(february.amount, 12);
+  assert.equal(charge(new Date(2026, 2, 1), new Date(2026, 2, 20)).amount, 12);
+  assert.equal(charge(new Date(2026, 1, 1), new Date(2026, 4, 1)).amount, 12 * 3);
+  assert.equal(charge(new Date(2026, 0, 15), new Date(2026, 1, 1), { cycleEnd: new Date(2026, 1, 15) }).amount, 12);
+
+  // Only a range that is not a whole month is pro-rated
+  assert.ok(Math.abs(charge(new Date(2026, 3, 1, 12), new Date(2026, 3, 16, 12)).amount - 6) < 1e-9);
+});
+
+test('standing charges count every started day of a rolling range', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', standing_charge: 1 }] });
+  const source = card._config.sources[0];
+  const rolling = createData(new Date(2026, 3, 17, 18), new Date(2026, 3, 18, 6));
+  assert.equal(card._calculateCharges(source, 0, rolling)[0].amount, 2);
+});
+
+test('taxes apply to usage plus standing charge but not to credits', () => {
+  const card = createCard({
+    sources: [{ entity: 'sensor.e', standing_charge: 1, tax_percent: 10 }]
+  });
+  const source = card._config.sources[0];
+  const day = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  assert.ok(Math.abs(card._calculateCharges(source, 9, day)[1].amount - 1) < 1e-9);
+  assert.equal(card._calculateCharges(source, -5, day).length, 1);
+});
+
+// ---------------------------------------------------------------------------
+// Sources from the Energy Dashboard
+// ---------------------------------------------------------------------------
+
+test('only auto_sources: true makes sources optional', () => {
+  assert.doesNotThrow(() => createCard({ auto_sources: true }));
+  for (const value of ['yes', 1, 'true']) {
+    assert.throws(() => createCard({ auto_sources: value }), /at least one energy source/, String(value));
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Recorded cost statistics
+// ---------------------------------------------------------------------------
+
+test('a cost statistic reports its own change as the cost', () => {
+  const card = createCard({
+    sources: [
+      { entity: 'sensor.import', cost_statistic: 'sensor.import_cost', rate_static: 10 },
+      { entity: 'sensor.export', cost_entity: 'sensor.export_compensation', invert_cost: true }
+    ]
+  });
+  const [imported, exported] = card._config.sources;
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19), {
+    'sensor.import_cost': { value: 4.2, series: [] },
+    'sensor.export_compensation': { value: 1.5, series: [] }
+  });
+  assert.equal(card._calculateCost(imported, 12, data), 4.2, 'the rate is not used');
+  assert.equal(card._calculateCost(exported, 5, data), -1.5);
+  assert.ok(card._getStatisticIds().includes('sensor.export_compensation'));
+});
+
+test('a cost statistic with no data has no cost', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.import', cost_statistic: 'sensor.import_cost' }] });
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  assert.equal(card._calculateCost(card._config.sources[0], 12, data), null);
+});
+
+// ---------------------------------------------------------------------------
+// Comparing with a previous period
+// ---------------------------------------------------------------------------
+
+function compareCard(compare) {
+  return createCard({ sources: [{ entity: 'sensor.e' }], compare });
+}
+
+test('a period in progress compares with the same part of the one before', () => {
+  const range = compareCard('previous_period')._getCompareRange(new Date(2026, 3, 1), new Date(2026, 3, 11, 10));
+  assert.equal(range.start.getTime(), new Date(2026, 2, 1).getTime());
+  assert.equal(range.end.getTime(), new Date(2026, 2, 11, 10).getTime());
+
+  // The 31st of March compares with the end of February, not into March
+  const march = compareCard('previous_period')._getCompareRange(new Date(2026, 2, 1), new Date(2026, 2, 31, 10));
+  assert.equal(march.start.getTime(), new Date(2026, 1, 1).getTime());
+  assert.equal(march.end.getTime(), new Date(2026, 1, 28, 10).getTime());
+});
+
+test('other ranges compare with the window of equal length before them', () => {
+  const start = new Date(2026, 3, 10, 16, 30);
+  const range = compareCard('previous_period')._getCompareRange(start, new Date(2026, 3, 17, 16, 30));
+  assert.equal(range.start.getTime(), new Date(2026, 3, 3, 16, 30).getTime());
+  assert.equal(range.end.getTime(), start.getTime());
+});
+
+test('previous_year shifts the range by a year, and the dashboard toggle is followed', () => {
+  const range = compareCard('previous_year')._getCompareRange(new Date(2028, 1, 1), new Date(2028, 1, 29, 12));
+  assert.equal(range.start.getTime(), new Date(2027, 1, 1).getTime());
+  assert.equal(range.end.getTime(), new Date(2027, 1, 28, 12).getTime());
+
+  const card = compareCard(undefined);
+  assert.equal(card._getCompareRange(new Date(2026, 3, 1), new Date(2026, 3, 2)), null);
+  card._dashboardCompareRange = { start: '2026-03-01T00:00:00Z', end: '2026-03-02T00:00:00Z' };
+  assert.equal(card._getCompareRange(new Date(2026, 3, 1), new Date(2026, 3, 2)).start.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(compareCard('none')._getCompareRange(new Date(2026, 3, 1), new Date(2026, 3, 2)), null);
+});
+
+test('comparisons show the change as a percentage of the previous value', () => {
+  const card = compareCard('previous_period');
+  assert.match(card._formatComparison(15, 10, '10'), /vs 10 .*▲50%/);
+  assert.match(card._formatComparison(5, -10, '-10'), /▲150%/);
+  assert.doesNotMatch(card._formatComparison(5, 0, '0'), /%/);
+});
+
+// ---------------------------------------------------------------------------
+// Row charts
+// ---------------------------------------------------------------------------
+
+function chartData() {
+  const start = new Date(Date.UTC(2026, 3, 18, 0));
+  const bucket = (index, change) => ({ start: start.getTime() + index * HOUR, change });
+  return createData(start, new Date(start.getTime() + 3 * HOUR), {
+    'sensor.import': { value: 6, series: [bucket(0, 1), bucket(1, 2), bucket(2, 3)] },
+    'sensor.export': { value: 4, series: [bucket(0, 0), bucket(1, 4)] }
+  });
+}
+
+test('charts draw one bar or point per bucket, as the card or source chooses', () => {
+  const card = createCard({
+    chart: 'bar',
+    sources: [{ entity: 'sensor.import' }, { entity: 'sensor.import', chart: 'sparkline' }, { entity: 'sensor.import', chart: 'none' }]
+  });
+  const [bars, sparkline, none] = card._config.sources;
+  assert.equal(card._renderChart(bars, chartData()).match(/<rect class="bar/g).length, 3);
+  const line = card._renderChart(sparkline, chartData());
+  assert.equal(/points="([^"]*)"/.exec(line)[1].split(' ').length, 3);
+  assert.equal(line.match(/<rect class="hit"/g).length, 3);
+  assert.equal(card._renderChart(none, chartData()), '');
+});
+
+test('calculated sources chart import minus export, with negative bars marked', () => {
+  const card = createCard({
+    chart: 'bar',
+    sources: [{ label: 'Net', calculate_from: { import: 'sensor.import', export: 'sensor.export' } }]
+  });
+  const source = card._config.sources[0];
+  assert.equal(card._getSeries(source, chartData()).map(bucket => bucket.change).join(), '1,-2,3');
+  assert.equal(card._renderChart(source, chartData()).match(/class="bar negative"/g).length, 1);
+});
+
+test('a single bucket has no chart', () => {
+  const card = createCard({ chart: 'sparkline', sources: [{ entity: 'sensor.e' }] });
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 18, 1), {
+    'sensor.e': { value: 1, series: [{ start: new Date(2026, 3, 18).getTime(), change: 1 }] }
+  });
+  assert.equal(card._renderChart(card._config.sources[0], data), '');
+});
+
+// ---------------------------------------------------------------------------
+// Emissions
+// ---------------------------------------------------------------------------
+
+test('carbon intensity converts to kg per display unit', () => {
+  const states = {
+    'sensor.co2': { state: '400', attributes: { unit_of_measurement: 'gCO2eq/kWh' } },
+    'sensor.co2_kg': { state: '0.4', attributes: { unit_of_measurement: 'kg/MWh' } }
+  };
+  const card = createCard({
+    sources: [
+      { entity: 'sensor.wh', unit: 'Wh', co2_intensity_entity: 'sensor.co2' },
+      { entity: 'sensor.mwh', unit: 'MWh', co2_intensity_entity: 'sensor.co2' },
+      { entity: 'sensor.kwh', unit: 'kWh', co2_intensity_entity: 'sensor.co2_kg' }
+    ]
+  }, states);
+  const [wh, mwh, kwh] = card._config.sources;
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+
+  assert.ok(Math.abs(card._calculateEmissions(wh, 2000, data) - 0.8) < 1e-9);
+  assert.ok(Math.abs(card._calculateEmissions(mwh, 2, data) - 800) < 1e-9);
+  assert.ok(Math.abs(card._calculateEmissions(kwh, 500, data) - 0.2) < 1e-9);
+});
+
+test('static emission factors apply per display unit', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.gas', type: 'gas', emission_factor: 2 }] });
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  assert.equal(card._calculateEmissions(card._config.sources[0], 3, data), 6);
+});
+
+// ---------------------------------------------------------------------------
+// KPIs
+// ---------------------------------------------------------------------------
+
+test('KPIs are worked out from the energy balance of every source', () => {
+  const card = createCard({
+    sources: [
+      { type: 'solar', entity: 'sensor.solar', children: [{ type: 'solar', entity: 'sensor.roof' }] },
+      { type: 'grid_import', entity: 'sensor.import', hide_if_zero: true },
+      { type: 'grid_export', entity: 'sensor.export' },
+      { type: 'battery_in', entity: 'sensor.charge' },
+      { type: 'battery_out', entity: 'sensor.discharge' }
+    ]
+  });
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19), {
+    'sensor.solar': { value: 10, series: [] },
+    'sensor.roof': { value: 6, series: [] },
+    'sensor.import': { value: 5, series: [] },
+    'sensor.export': { value: 4, series: [] },
+    'sensor.charge': { value: 2, series: [] },
+    'sensor.discharge': { value: 1.5, series: [] }
+  });
+  const kpis = card._calculateKpis(data);
+  // 10 + 5 + 1.5 - 4 - 2; the child is already part of its parent
+  assert.equal(kpis.home_consumption, 10.5);
+  assert.ok(Math.abs(kpis.self_sufficiency - 5.5 / 10.5 * 100) < 1e-9);
+  assert.equal(kpis.self_consumption, 60);
+  assert.ok(Math.abs(kpis.solar_fraction - 6 / 10.5 * 100) < 1e-9);
+  assert.equal(kpis.battery_efficiency, 75);
+});
+
+test('KPIs without a denominator are left out rather than divided by zero', () => {
+  const card = createCard({ sources: [{ type: 'grid_import', entity: 'sensor.import' }] });
+  const kpis = card._calculateKpis(createData(new Date(2026, 3, 18), new Date(2026, 3, 19)));
+  assert.equal(kpis.home_consumption, 0);
+  assert.equal(kpis.self_sufficiency, null);
+  assert.equal(kpis.self_consumption, null);
+  assert.equal(kpis.battery_efficiency, null);
+});
+
+// ---------------------------------------------------------------------------
+// Total rows
+// ---------------------------------------------------------------------------
+
+test('the default totals cover every source type', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const covered = card._config.totals.flatMap(total => [...total.types]);
+  for (const type of Object.keys(DEFAULT_LABELS)) {
+    assert.ok(covered.includes(type), type);
+  }
+});
+
+test('battery and grid net costs reach the default totals', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const summary = {
+    costs: [
+      { type: 'battery_out', entity: 'sensor.b', label: 'Battery', amount: 2 },
+      { type: 'grid_net', entity: 'sensor.g', label: 'Grid', amount: 5 }
+    ]
+  };
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  const rows = card._buildTotalRows(summary, data);
+  assert.equal(rows.find(row => row.key === 'battery').amount, 2);
+  assert.equal(rows.find(row => row.key === 'grid').amount, 5);
+});
+
+// ---------------------------------------------------------------------------
+// Columns
+// ---------------------------------------------------------------------------
+
+test('columns reject options they cannot show', () => {
+  const sources = [{ entity: 'sensor.e' }];
+  const columns = ['today', 'this_month'];
+  assert.throws(() => createCard({ sources, columns, compare: 'previous_period' }), /compare/);
+  assert.throws(() => createCard({ sources, columns, chart: 'bar' }), /chart/);
+  assert.throws(() => createCard({ sources: [{ entity: 'sensor.e', chart: 'sparkline' }], columns }), /chart/);
+  assert.doesNotThrow(() => createCard({ sources, columns, compare: 'none', chart: 'none' }));
+});
+
+test('column periods accept the period_entity names and reject unknown ones', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }], columns: ['this_month', 'Previous Year', 'last_14_days'] });
+  assert.equal(card._config.columns.map(column => column.period).join(), 'month,last_year,last_14_days');
+  assert.equal(card._config.columns[0].label, 'This Month');
+  assert.throws(() => createCard({ sources: [{ entity: 'sensor.e' }], columns: ['today', 'this_quarter'] }), /"this_quarter"/);
+});
+
+test('each column fetches statistics for its own range only', async () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', rate_entity: 'sensor.rate' }], columns: ['today', 'last_year'] });
+  const calls = [];
+  card._fetchStatistics = async (ids, start, end, period) => {
+    calls.push({ ids: [...ids], start, end, period });
+    return {};
+  };
+  card._getLiveUsage = async () => new Map();
+
+  const datasets = await card._fetchColumnData();
+  assert.equal(datasets.length, 2);
+  for (const data of datasets) {
+    const covering = calls.filter(call => call.end.getTime() === data.range.end.getTime());
+    assert.ok(covering.length > 0);
+    for (const call of covering) {
+      assert.ok(data.range.start - call.start <= 24 * HOUR, 'fetch starts at most one bucket early');
+    }
+  }
+  const span = Math.max(...calls.map(call => call.end - call.start));
+  assert.ok(span <= 367 * 24 * HOUR);
+});
+
+// ---------------------------------------------------------------------------
+// Periods
+// ---------------------------------------------------------------------------
+
+test('the week starts on the configured day, then the Home Assistant locale', () => {
+  const locale = { locale: { first_weekday: 'saturday', language: 'en' } };
+  const withLocale = config => Object.assign(createCard({ sources: [{ entity: 'sensor.e' }], ...config }), {
+    _hass: { states: {}, ...locale }
+  });
+  assert.equal(withLocale({ first_day_of_week: 'monday' })._getFirstDayOfWeek(), 1);
+  assert.equal(withLocale({ first_day_of_week: 7 })._getFirstDayOfWeek(), 0);
+  assert.equal(withLocale({})._getFirstDayOfWeek(), 6);
+});
+
+test('this week runs from midnight on its first day', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }], first_day_of_week: 'wednesday' });
+  const range = card._getDateRangeForPeriod('week');
+  const start = new Date(range.start);
+  assert.equal(start.getDay(), 3);
+  assert.equal(start.getHours() + start.getMinutes(), 0);
+  assert.ok(new Date(range.end) - start < 7 * 24 * HOUR);
+
+  const lastWeek = card._getDateRangeForPeriod('last_week');
+  assert.equal(lastWeek.end, range.start);
+  assert.equal(new Date(lastWeek.start).getDay(), 3);
+});
+
+test('rolling periods end now and previous periods are whole calendar periods', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const rolling = card._getDateRangeForPeriod('last_36_hours');
+  assert.equal(new Date(rolling.end) - new Date(rolling.start), 36 * HOUR);
+  assert.ok(Math.abs(new Date(rolling.end) - Date.now()) < 60 * 1000);
+
+  const lastMonth = card._getDateRangeForPeriod('last_month');
+  const thisMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+  assert.equal(lastMonth.end, thisMonth.toISOString());
+  assert.equal(lastMonth.start, new Date(thisMonth.getFullYear(), thisMonth.getMonth() - 1, 1).toISOString());
+});
+
+test('custom periods are offsets from now, optionally aligned to midnight', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const now = new Date(2026, 2, 31, 15, 20);
+  const aligned = card._getCustomDateRange({ start_offset: '-14d', end_offset: '-7d', align: 'day' }, now);
+  assert.equal(aligned.start, new Date(2026, 2, 17).toISOString());
+  assert.equal(aligned.end, new Date(2026, 2, 24).toISOString());
+
+  const months = card._getCustomDateRange({ start_offset: '-1M', end_offset: '+2d' }, now);
+  assert.equal(months.start, new Date(2026, 1, 28, 15, 20).toISOString(), 'clamped to the end of February');
+  assert.equal(months.end, now.toISOString(), 'never ends after now');
+});
+
+test('period_entity states select a period by any common spelling', () => {
+  const states = { 'input_select.period': { state: 'Previous Month', attributes: {} } };
+  const card = createCard({ sources: [{ entity: 'sensor.e' }], period: 'week', period_entity: 'input_select.period' }, states);
+  assert.equal(card._getConfiguredPeriod(), 'last_month');
+  states['input_select.period'] = { state: 'last-7-days', attributes: {} };
+  assert.equal(card._getConfiguredPeriod(), 'last_7_days');
+  states['input_select.period'] = { state: 'Fortnight', attributes: {} };
+  assert.equal(card._getConfiguredPeriod(), 'week');
+});
+
+// A meter using 1 kWh every hour, served in whatever buckets are requested
+function serveHourlyMeter(card, entityId) {
+  const requests = [];
+  card._hass.callWS = async message => {
+    if (message.type === 'recorder/get_statistics_metadata') return [];
+    requests.push(message);
+    const stats = [];
+    const end = new Date(message.end_time);
+    for (let start = new Date(message.start_time); start < end; start = card._shiftDate(start, message.period, 1)) {
+      const next = card._shiftDate(start, message.period, 1);
+      stats.push({ start: start.getTime(), change: (Math.min(next, end) - start) / HOUR });
+    }
+    return { [entityId]: stats };
+  };
+  return requests;
+}
+
+test('rolling ranges use hourly buckets so they count only their own hours', async () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const requests = serveHourlyMeter(card, 'sensor.e');
+  // Seven days back from 16:30, on the UTC hour in India
+  const end = new Date(2026, 3, 17, 16, 30);
+  const start = new Date(2026, 3, 10, 16, 30);
+
+  const data = await card._fetchData(start, end);
+  assert.equal(data.period, 'hour');
+  assert.equal(requests[0].period, 'hour');
+  assert.equal(data.energy['sensor.e'].value, 168);
+});
+
+test('ranges on day and month boundaries keep the larger buckets', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  assert.equal(card._getStatisticsPeriod(new Date(2026, 3, 1), new Date(2026, 3, 8)), 'day');
+  assert.equal(card._getStatisticsPeriod(new Date(2026, 0, 1), new Date(2026, 3, 1)), 'month');
+  assert.equal(card._getStatisticsPeriod(new Date(2026, 0, 15), new Date(2026, 3, 15)), 'day');
+  assert.equal(card._getStatisticsPeriod(new Date(2026, 3, 1), new Date(2026, 3, 8, 12)), 'hour');
+});
+
+// ---------------------------------------------------------------------------
+// Billing cycles and projections
+// ---------------------------------------------------------------------------
+
+test('billing cycles start on the anchor day, clamped to short months', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }], billing_cycle: 15 });
+  const after = card._getBillingCycle(15, new Date(2026, 3, 18, 9));
+  assert.equal(after.start.getTime(), new Date(2026, 3, 15).getTime());
+  assert.equal(after.end.getTime(), new Date(2026, 4, 15).getTime());
+  const before = card._getBillingCycle(15, new Date(2026, 3, 10));
+  assert.equal(before.start.getTime(), new Date(2026, 2, 15).getTime());
+
+  const monthEnd = card._getBillingCycle(31, new Date(2026, 2, 5));
+  assert.equal(monthEnd.start.getTime(), new Date(2026, 1, 28).getTime());
+  assert.equal(monthEnd.end.getTime(), new Date(2026, 2, 31).getTime());
+});
+
+function projectionCard(billingCycle) {
+  return createCard({
+    billing_cycle: billingCycle,
+    sources: [{ type: 'grid_import', entity: 'sensor.e', rate_static: 1, standing_charge: 1 }]
+  });
+}
+
+function cycleData(value, start, end, cycleEnd) {
+  return createData(start, end, { 'sensor.e': { value, series: [] } }, { cycleEnd });
+}
+
+test('the projection extends the daily average and charges the whole cycle', () => {
+  const card = projectionCard({ anchor_day: 1 });
+  // 10 days into a 30-day cycle, with 10 spent on energy so far
+  const data = cycleData(10, new Date(2026, 3, 1), new Date(2026, 3, 11), new Date(2026, 4, 1));
+  const projection = card._calculateProjection(card._computeSummary(data), data);
+  assert.ok(Math.abs(projection.amount - (30 + 30)) < 1e-9);
+  assert.equal(projection.day, 10);
+  assert.equal(projection.totalDays, 30);
+  assert.equal(projection.remaining, 20);
+  assert.equal(projection.basis, 'daily average');
+  assert.equal(projection.lowConfidence, false);
+
+  const early = cycleData(1, new Date(2026, 3, 1), new Date(2026, 3, 3), new Date(2026, 4, 1));
+  assert.equal(card._calculateProjection(card._computeSummary(early), early).lowConfidence, true);
+});
+
+test('a last_year projection adds what the rest of the cycle cost last year', () => {
+  const card = projectionCard({ anchor_day: 1, projection: 'last_year' });
+  const data = cycleData(10, new Date(2026, 3, 1), new Date(2026, 3, 11), new Date(2026, 4, 1));
+  card._projectionData = cycleData(12, new Date(2025, 3, 11), new Date(2025, 4, 1), new Date(2025, 4, 1));
+  const projection = card._calculateProjection(card._computeSummary(data), data);
+  assert.ok(Math.abs(projection.amount - (10 + 12 + 30)) < 1e-9);
+  assert.equal(projection.basis, 'last year');
+});
+
+// ---------------------------------------------------------------------------
+// Budgets
+// ---------------------------------------------------------------------------
+
+test('periodic budgets compare against the whole period in progress', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const budget = card._normalizeBudget({ amount: 300, period: 'month' });
+  // Ten days into April, 150 of a 300 monthly budget is half, not exceeded
+  const month = createData(new Date(2026, 3, 1), new Date(2026, 3, 11));
+  const status = card._getBudgetStatus('grid', 'Grid', budget, 150, month);
+  assert.equal(status.limit, 300);
+  assert.equal(status.level, null);
+});
+
+test('budget alerts are raised after fetching, not while rendering', async () => {
+  const card = createCard({
+    sources: [{ entity: 'sensor.e', rate_static: 1, budget: { amount: 5, action: 'persistent_notification.create' } }]
+  });
+  const calls = [];
+  card._hass.callService = (...args) => calls.push(args);
+  card._data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19), { 'sensor.e': { value: 10, series: [] } });
+  card.render();
+  assert.equal(calls.length, 0);
+
+  const start = new Date(2026, 3, 18);
+  card._dateRange = { start, end: new Date(2026, 3, 19) };
+  card._fetchData = async () => createData(start, new Date(2026, 3, 19), { 'sensor.e': { value: 10, series: [] } });
+  card._scheduleRefresh = () => {};
+  await card._updateData();
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0][0], 'persistent_notification');
+
+  await card._updateData();
+  assert.equal(calls.length, 1, 'each level alerts once');
+});
+
+test('budgets cannot be combined with columns', () => {
+  const columns = ['today', 'this_month'];
+  assert.throws(() => createCard({ sources: [{ entity: 'sensor.e', budget: 10 }], columns }), /budget/);
+  assert.throws(() => createCard({ sources: [{ entity: 'sensor.e' }], categories: { grid: { budget: 10 } }, columns }), /budget/);
+  assert.throws(() => createCard({ sources: [{ entity: 'sensor.e' }], grand_total: { budget: 10 }, columns }), /budget/);
+});
+
+// ---------------------------------------------------------------------------
+// Units and rate units
+// ---------------------------------------------------------------------------
+
+test('statistics convert between units of the same kind', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  assert.equal(card._getConversionFactor('Wh', 'kWh'), 0.001);
+  assert.equal(card._getConversionFactor('MWh', 'kWh'), 1000);
+  assert.ok(Math.abs(card._getConversionFactor('CCF', 'ft³') - 100) < 1e-9);
+  assert.equal(card._getConversionFactor('m³', 'kWh'), null);
+  assert.ok(Math.abs(card._getConversionFactor('m3', 'kWh', 10.8) - 10.8) < 1e-9);
+});
+
+test('only entity rates take the rate entity unit', () => {
+  const states = {
+    'sensor.rate': { state: 'unavailable', attributes: { unit_of_measurement: '¢/kWh' } }
+  };
+  const card = createCard({
+    sources: [
+      { entity: 'sensor.e', rate_entity: 'sensor.rate', rate_static: 0.2 },
+      { entity: 'sensor.t', rate_entity: 'sensor.rate', tiers: [{ rate: 0.3 }] }
+    ]
+  }, states);
+  const [fallback, tiered] = card._config.sources;
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  assert.ok(Math.abs(card._calculateCost(fallback, 10, data) - 2) < 1e-9);
+  assert.ok(Math.abs(card._calculateCost(tiered, 10, data) - 3) < 1e-9);
+
+  states['sensor.rate'].state = '25';
+  assert.ok(Math.abs(card._calculateCost(fallback, 10, data) - 2.5) < 1e-9);
+});
+
+test('a failed unit lookup is retried instead of cached', async () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const start = new Date(Date.UTC(2026, 3, 18, 0));
+  let lookups = 0;
+  card._hass.callWS = async message => {
+    if (message.type === 'recorder/get_statistics_metadata') {
+      if (++lookups === 1) throw new Error('Connection lost');
+      return [{ statistic_id: 'sensor.e', statistics_unit_of_measurement: 'Wh' }];
+    }
+    return { 'sensor.e': [{ start: start.getTime(), change: 1500 }] };
+  };
+
+  const originalError = cardConsole.error;
+  cardConsole.error = () => {};
+  let failed;
+  try {
+    failed = await card._fetchStatistics(['sensor.e'], start, new Date(start.getTime() + HOUR), 'hour');
+  } finally {
+    cardConsole.error = originalError;
+  }
+  assert.equal(failed['sensor.e'], undefined, 'unconverted values are not returned');
+
+  const retried = await card._fetchStatistics(['sensor.e'], start, new Date(start.getTime() + HOUR), 'hour');
+  assert.equal(lookups, 2);
+  assert.equal(retried['sensor.e'][0].change, 1.5);
+});
+
+test('rate_unit converts static rates to the display unit', () => {
+  const card = createCard({
+    sources: [{ entity: 'sensor.e', unit: 'MWh', rate_static: 14.5, rate_unit: '¢/kWh' }]
+  });
+  const data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19));
+  assert.ok(Math.abs(card._calculateCost(card._config.sources[0], 2, data) - 290) < 1e-9);
+});
+
+test('net metering rates are converted like source rates', () => {
+  const states = {
+    'sensor.rate': { state: '20', attributes: { unit_of_measurement: '¢/kWh' } }
+  };
+  const card = createCard({
+    sources: [{ entity: 'sensor.e' }],
+    net_metering: { import_entity: 'sensor.in', export_entity: 'sensor.out', import_rate: 'sensor.rate', export_rate: 0.05 }
+  }, states);
+  assert.ok(Math.abs(card._getNetMeteringRate('sensor.rate') - 0.2) < 1e-9);
+  assert.equal(card._getNetMeteringRate(0.05), 0.05);
+});
+
+// ---------------------------------------------------------------------------
+// Row actions and details
+// ---------------------------------------------------------------------------
+
+test('rows have no actions unless configured', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }, { entity: 'sensor.f', tap_action: 'details' }] });
+  const [plain, detailed] = card._config.sources;
+  assert.equal(plain.tap_action.action, 'none');
+  assert.equal(plain.hold_action.action, 'none');
+  assert.equal(card._renderActionAttributes(plain), '');
+  assert.match(card._renderActionAttributes(detailed), /data-source-index="1"/);
+});
+
+test('details in column mode show the tapped column', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', tap_action: 'details' }], columns: ['today', 'yesterday'] });
+  const source = card._config.sources[0];
+  card._columnData = [
+    createData(new Date(2026, 3, 18), new Date(2026, 3, 18, 12), { 'sensor.e': { value: 1, series: [] } }),
+    createData(new Date(2026, 3, 17), new Date(2026, 3, 18), { 'sensor.e': { value: 7, series: [] } })
+  ];
+  card._handleAction(source, source.tap_action, 1);
+  assert.equal(card._detailsColumn, 1);
+  assert.match(card._renderDetails(), /Yesterday ·/);
+  assert.match(card._renderDetails(), new RegExp(new Date(2026, 3, 17).toLocaleString().replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')));
+});
+
+test('details follow the current mode, not data left from the other', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e', tap_action: 'details' }], columns: ['today'] });
+  card._data = createData(new Date(2026, 3, 18), new Date(2026, 3, 19), { 'sensor.e': { value: 99, series: [] } });
+  card._columnData = [createData(new Date(2026, 3, 18), new Date(2026, 3, 19), { 'sensor.e': { value: 3, series: [] } })];
+  card._handleAction(card._config.sources[0], card._config.sources[0].tap_action, 0);
+  assert.match(card._renderDetails(), /<span>3\.00 kWh<\/span>/);
+
+  const single = createCard({ sources: [{ entity: 'sensor.e', tap_action: 'details' }] });
+  single._data = card._data;
+  single._columnData = card._columnData;
+  single._handleAction(single._config.sources[0], single._config.sources[0].tap_action);
+  assert.match(single._renderDetails(), /<span>99\.00 kWh<\/span>/);
+  assert.doesNotMatch(single._renderDetails(), /Today ·/);
+});
+
+// ---------------------------------------------------------------------------
+// Grouped sources
+// ---------------------------------------------------------------------------
+
+function groupedCard() {
+  return createCard({
+    sources: [
+      { entity: 'sensor.main', label: 'Main', ...tieredSource({ entity: 'sensor.main' }), children: [{ entity: 'sensor.ev', label: 'EV', tap_action: 'details' }] },
+      { label: 'Heating', rate_static: 0.5, children: [{ entity: 'sensor.pump', label: 'Pump' }, { entity: 'sensor.boiler', label: 'Boiler' }] }
+    ]
+  });
+}
+
+function groupedData() {
+  return createData(new Date(2026, 3, 18), new Date(2026, 3, 19), {
+    'sensor.main': { value: 120, series: [] },
+    'sensor.ev': { value: 40, series: [] },
+    'sensor.pump': { value: 4, series: [] },
+    'sensor.boiler': { value: 6, series: [] }
+  });
+}
+
+test('children follow their parent, with a row for what they do not account for', () => {
+  const labels = groupedCard()._config.sources.map(source => `${source.depth}:${source.label}`);
+  assert.equal(labels.join(), '0:Main,1:EV,1:Untracked,0:Heating,1:Pump,1:Boiler');
+
+  const card = createCard({
+    sources: [{ entity: 'sensor.main', untracked: false, children: [{ entity: 'sensor.ev' }] }]
+  });
+  assert.equal(card._config.sources.length, 2);
+});
+
+test('untracked rows and groups take their values from the related rows', () => {
+  const card = groupedCard();
+  const data = groupedData();
+  const value = label => card._getValue(card._config.sources.find(source => source.label === label), data);
+  assert.equal(value('Untracked'), 80);
+  assert.equal(value('Heating'), 10);
+});
+
+test('children inherit a plain rate and share a tiered parent cost', () => {
+  const { computed, costs } = groupedCard()._computeSummary(groupedData());
+  const row = label => [...computed.values()].find(candidate => candidate.source.label === label);
+  assert.equal(row('Pump').cost, 2);
+  assert.equal(row('Heating').cost, 5);
+  assert.ok(Math.abs(row('EV').cost - 4.5) < 1e-9);
+  assert.ok(Math.abs(row('Untracked').cost - 9) < 1e-9);
+
+  // Only the top-level rows reach the totals
+  assert.equal(costs.map(cost => cost.label).join(), 'Main,Heating');
+});
+
+test('details show the cost of an allocated child as its row does', () => {
+  const card = groupedCard();
+  card._data = groupedData();
+  card._detailsIndex = card._config.sources.findIndex(source => source.label === 'EV');
+  const html = card._renderDetails();
+  // 40 of 120 kWh, at the parent's 13.50 tiered cost
+  assert.match(html, /\$4\.50/);
+  assert.match(html, /Share of the cost of Main at its average rate/);
+  assert.doesNotMatch(html, /No rate configured/);
+});
+
+test('details explain untracked and group costs from their rows', () => {
+  const card = groupedCard();
+  const { computed } = card._computeSummary(groupedData());
+  const steps = source => card._describeCost(source, computed.get(source).value, computed.get(source).cost, groupedData(), computed);
+  const untracked = card._config.sources.find(source => source.untracked_of);
+  const heating = card._config.sources.find(source => source.label === 'Heating');
+
+  assert.deepEqual(Array.from(steps(untracked)), ['Cost of Main: $13.50', 'Minus EV: $4.50']);
+  assert.deepEqual(Array.from(steps(heating)), ['Sum of the costs of the sources in this group', 'Pump: $2.00', 'Boiler: $3.00']);
+});
+
+// ---------------------------------------------------------------------------
+// Formula variables
+// ---------------------------------------------------------------------------
+
+test('named variables resolve from numbers and entities', () => {
+  const formula = new CostFormula('value * rate + fee * days');
+  const entities = { 'input_number.fee': 0.5 };
+  const cost = formula.evaluateWith(
+    { fee: 'input_number.fee', rate: 0.1 },
+    { value: 10, rate: 0.2, days: 2 },
+    id => entities[id]
+  );
+  // The range's own rate wins over a variable of the same name
+  assert.ok(Math.abs(cost - 3) < 1e-9);
+  assert.throws(() => formula.evaluateWith({ fee: 'input_number.missing' }, { value: 1, rate: 1, days: 1 }),
+    /Variable "fee" \(input_number.missing\) is unavailable/);
+});
+
+// ---------------------------------------------------------------------------
+// Editor source list
+// ---------------------------------------------------------------------------
+
+function createEditor(config) {
+  const editor = new CustomEnergySourcesCardEditor();
+  const events = [];
+  editor.render = () => {};
+  editor.dispatchEvent = event => events.push(event);
+  editor.setConfig(config);
+  return { editor, events };
+}
+
+test('moving a source reorders the config and keeps what the editor does not show', () => {
+  const { editor, events } = createEditor({
+    title: 'Energy',
+    sources: [
+      { entity: 'sensor.a', tiers: [{ rate: 0.1 }] },
+      { entity: 'sensor.b' },
+      { entity: 'sensor.c' }
+    ]
+  });
+  editor._config.sources[0]._collapsed = true;
+  editor._moveSource(0, 2);
+
+  const sources = editor._config.sources;
+  assert.equal(sources.map(source => source.entity).join(), 'sensor.b,sensor.c,sensor.a');
+  assert.equal(sources[2]._collapsed, true, 'the collapsed state moves with the source');
+
+  const { config } = events[0].detail;
+  assert.equal(config.title, 'Energy');
+  assert.equal(config.sources.map(source => source.entity).join(), 'sensor.b,sensor.c,sensor.a');
+  assert.equal(config.sources[2].tiers[0].rate, 0.1);
+  assert.equal('_collapsed' in config.sources[2], false);
+});
+
+test('moves past either end of the list are ignored', () => {
+  const { editor, events } = createEditor({ sources: [{ entity: 'sensor.a' }, { entity: 'sensor.b' }] });
+  editor._moveSource(0, -1);
+  editor._moveSource(1, 2);
+  editor._moveSource(1, 1);
+  assert.equal(events.length, 0);
+  assert.equal(editor._config.sources.map(source => source.entity).join(), 'sensor.a,sensor.b');
+});
+
+// ---------------------------------------------------------------------------
+// Statistics requests and cache
+// ---------------------------------------------------------------------------
+
+function recordRequests(card) {
+  const requests = [];
+  card._hass.callWS = async message => {
+    if (message.type === 'recorder/get_statistics_metadata') return [];
+    requests.push(message);
+    return {};
+  };
+  return requests;
+}
+
+test('day and month requests start at local midnight', async () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const requests = recordRequests(card);
+  // Midnight in India is half past the UTC hour
+  const midnight = new Date(2026, 3, 1);
+  await card._fetchStatistics(['sensor.e'], midnight, new Date(2026, 3, 10), 'day');
+  await card._fetchStatistics(['sensor.e'], new Date(2026, 3, 5, 15), new Date(2026, 5, 1), 'month');
+  assert.equal(requests[0].start_time, midnight.toISOString());
+  assert.equal(requests[1].start_time, midnight.toISOString());
+});
+
+test('hour requests start at the UTC hour containing the start', async () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const requests = recordRequests(card);
+  await card._fetchStatistics(['sensor.e'], new Date(Date.UTC(2026, 3, 1, 10, 20)), new Date(Date.UTC(2026, 3, 1, 12)), 'hour');
+  assert.equal(requests[0].start_time, new Date(Date.UTC(2026, 3, 1, 10)).toISOString());
+});
+
+test('the statistics cache keeps the most recently used entries', async () => {
+  const card = createCard({ sources: [{ entity: 'sensor.e' }] });
+  const requests = recordRequests(card);
+  const day = index => [new Date(2025, 0, 1 + index), new Date(2025, 0, 2 + index)];
+
+  await card._fetchStatistics(['sensor.e'], ...day(0), 'hour');
+  for (let index = 1; index <= 60; index++) {
+    await card._fetchStatistics(['sensor.e'], ...day(index), 'hour');
+    // Keep the first range in use
+    await card._fetchStatistics(['sensor.e'], ...day(0), 'hour');
+  }
+  assert.equal(card._statisticsCache.size, 50);
+  assert.equal(requests.length, 61);
+
+  await card._fetchStatistics(['sensor.e'], ...day(1), 'hour');
+  assert.equal(requests.length, 62, 'evicted ranges are fetched again');
+});
+
+test('a new config fetches its data without waiting for a state change', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.a' }] });
+  let updates = 0;
+  card._requestUpdate = () => updates++;
+  card.setConfig({ sources: [{ entity: 'sensor.a' }, { entity: 'sensor.b' }] });
+  assert.equal(updates, 1);
+});
+
+// ---------------------------------------------------------------------------
+// Live updates
+// ---------------------------------------------------------------------------
+
+// Entity states, with the state recorded at the end of the last compiled hour
+function liveCard(states, recorded) {
+  const card = createCard({ live_update: 'state', sources: Object.keys(states).map(entity => ({ entity })) }, states);
+  card._hass.callWS = async message => {
+    if (message.type === 'recorder/get_statistics_metadata') return [];
+    return recorded;
+  };
+  return card;
+}
+
+test('state updates add the usage since the last compiled hour', async () => {
+  const now = Date.UTC(2026, 3, 18, 10, 30);
+  const lastHour = Date.UTC(2026, 3, 18, 9);
+  const card = liveCard({
+    'sensor.meter': { state: '103.5', attributes: {} },
+    'sensor.wh': { state: '2500', attributes: { unit_of_measurement: 'Wh' } },
+    'sensor.reset': { state: '2', attributes: { state_class: 'total_increasing' } }
+  }, {
+    'sensor.meter': [{ start: lastHour, state: 100, sum: 100 }],
+    'sensor.wh': [{ start: lastHour, state: 1000, sum: 1000 }],
+    'sensor.reset': [{ start: lastHour, state: 50, sum: 50 }]
+  });
+
+  const usage = await card._getStateUsage(['sensor.meter', 'sensor.wh', 'sensor.reset', 'external:meter'], new Date(Date.UTC(2026, 3, 18)), now);
+  assert.equal(usage.get('sensor.meter'), 3.5);
+  assert.equal(usage.get('sensor.wh'), 1.5, 'converted to the display unit');
+  assert.equal(usage.get('sensor.reset'), 2, 'a reset meter counts from zero');
+  assert.equal(usage.has('external:meter'), false);
+});
+
+test('a last recorded state from before the range is not used', async () => {
+  const now = Date.UTC(2026, 3, 18, 10, 30);
+  const card = liveCard({ 'sensor.meter': { state: '103.5', attributes: {} } }, {
+    'sensor.meter': [{ start: Date.UTC(2026, 3, 18, 8), state: 100, sum: 100 }]
+  });
+  const usage = await card._getStateUsage(['sensor.meter'], new Date(Date.UTC(2026, 3, 18, 10)), now);
+  assert.equal(usage.size, 0);
+});
+
+test('live usage is added to the total, the chart and the hourly series', () => {
+  const card = createCard({ live_update: 'state', sources: [{ entity: 'sensor.meter' }] });
+  const start = new Date(Date.UTC(2026, 3, 18, 0));
+  const data = createData(start, new Date(start.getTime() + 24 * HOUR), {
+    'sensor.meter': { value: 10, series: [{ start: start.getTime(), change: 10 }] }
+  }, { hourly: { 'sensor.meter': [] } });
+  card._addLiveUsage(data, new Map([['sensor.meter', 2]]));
+  assert.equal(data.energy['sensor.meter'].value, 12);
+  const series = data.energy['sensor.meter'].series;
+  assert.equal(series.reduce((sum, bucket) => sum + bucket.change, 0), 12);
+  assert.equal(series[series.length - 1].start, Math.floor(Date.now() / HOUR) * HOUR);
+  assert.equal(data.hourly['sensor.meter'][0].change, 2);
+});
+
+// ---------------------------------------------------------------------------
+// Meter resets and missing hours
+// ---------------------------------------------------------------------------
+
+test('a drop on a total_increasing meter is a reset', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.meter' }] }, {
+    'sensor.meter': { state: '3', attributes: { state_class: 'total_increasing' } }
+  });
+  const start = new Date(Date.UTC(2026, 3, 18, 0));
+  const end = new Date(start.getTime() + 4 * HOUR);
+  const stats = { 'sensor.meter': meterStats(new Date(start.getTime() - HOUR), [100, 102, 105, 1, 3]) };
+
+  const { value, resets, series } = card._processStatistics(stats, start, end)['sensor.meter'];
+  assert.equal(value, 7);
+  assert.equal(resets.length, 1);
+  assert.equal(resets[0].change, -104);
+  assert.equal(series.length, 3);
+});
+
+test('other statistics keep their decreases', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.net' }, { entity: 'external:meter' }] }, {
+    'sensor.net': { state: '3', attributes: { state_class: 'total' } }
+  });
+  const start = new Date(Date.UTC(2026, 3, 18, 0));
+  const end = new Date(start.getTime() + 3 * HOUR);
+  const sums = [10, 12, 8, 9];
+  const processed = card._processStatistics({
+    'sensor.net': meterStats(new Date(start.getTime() - HOUR), sums),
+    'external:meter': meterStats(new Date(start.getTime() - HOUR), sums)
+  }, start, end);
+
+  for (const id of ['sensor.net', 'external:meter']) {
+    assert.equal(processed[id].value, -1, id);
+    assert.equal(processed[id].resets.length, 0, id);
+  }
+});
+
+test('missing hours are counted up to the end of the range', () => {
+  const card = createCard({ sources: [{ entity: 'sensor.meter' }] });
+  const start = new Date(Date.UTC(2025, 3, 18, 0));
+  const end = new Date(start.getTime() + 6 * HOUR);
+  const stats = [
+    { start: start.getTime(), change: 1 },
+    { start: start.getTime() + HOUR, change: 1 },
+    { start: start.getTime() + 4 * HOUR, change: 1 }
+  ];
+  assert.equal(card._processStatistics({ 'sensor.meter': stats }, start, end)['sensor.meter'].missingHours, 3);
+});
+
+// ---------------------------------------------------------------------------
+// Power sources
+// ---------------------------------------------------------------------------
+
+test('live updates integrate 5-minute mean power for power sources', async () => {
+  const card = createCard({
+    live_update: 'state',
+    sources: [{ entity: '', power_entity: 'sensor.power', label: 'Heater' }]
+  }, { 'sensor.power': { state: '1500', attributes: { unit_of_measurement: 'W' } } });
+  const requests = [];
+  card._hass.callWS = async message => {
+    if (message.type === 'recorder/get_statistics_metadata') return [{ statistic_id: 'sensor.power', statistics_unit_of_measurement: 'W' }];
+    requests.push(message);
+    return { 'sensor.power': [{ start: 0, mean: 1200 }, { start: 1, mean: 2400 }] };
+  };
+
+  const now = Date.now();
+  const usage = await card._getLiveUsage([], new Date(now - 24 * HOUR), new Date(now));
+  // 1.2 kW and 2.4 kW for 5 minutes each
+  assert.ok(Math.abs(usage.get('sensor.power') - 0.3) < 1e-9);
+  assert.deepEqual([...requests[0].types], ['mean']);
+  assert.equal(requests[0].period, '5minute');
+});
+
+test('hourly mean power becomes energy in the source unit', () => {
+  const card = createCard({ sources: [{ entity: '', power_entity: 'sensor.power', unit: 'Wh' }] });
+  const units = new Map([['sensor.power', 'kW']]);
+  assert.equal(card._getPowerFactor(card._config.sources[0], units), 1000);
+});
+
+// ---------------------------------------------------------------------------
+// Net metering banking and true-up
+// ---------------------------------------------------------------------------
+
+function netMeteringCard(netMetering = {}, states = {}) {
+  return createCard({
+    sources: [{ entity: 'sensor.e' }],
+    net_metering: { import_entity: 'sensor.in', export_entity: 'sensor.out', true_up_date: '04-15', ...netMetering }
+  }, states);
+}
+
+function month(start, importKwh, exportKwh, importRate, exportRate) {
+  return {
+    start: start.getTime(),
+    import: importKwh,
+    export: exportKwh,
+    importCost: importKwh * importRate,
+    exportCredit: exportKwh * exportRate
+  };
+}
+
+test('cost banking carries credit forward and charges the rest', () => {
+  const card = netMeteringCard();
+  const { balance, charged } = card._settleNetMeteringBank([
+    // Listed out of order: settlement follows the calendar
+    month(new Date(2026, 6, 1), 300, 100, 0.3, 0.1),
+    month(new Date(2026, 4, 1), 100, 500, 0.3, 0.1),
+    month(new Date(2026, 5, 1), 100, 400, 0.3, 0.1)
+  ], 'cost');
+  // May banks 20, June 10 more; July costs 80, 30 of it from the bank
+  assert.ok(Math.abs(balance) < 1e-9);
+  assert.ok(Math.abs(charged - 50) < 1e-9);
+});
+
+test('energy banking carries kWh forward at the import rate', () => {
+  const card = netMeteringCard({ banking: 'energy' });
+  const { balance, charged } = card._settleNetMeteringBank([
+    month(new Date(2026, 4, 1), 100, 400, 0.3, 0.1),
+    month(new Date(2026, 5, 1), 500, 100, 0.25, 0.1)
+  ], 'energy');
+  // 300 kWh banked in May covers 300 of June's 400 net
+  assert.equal(balance, 0);
+  assert.ok(Math.abs(charged - 100 * 0.25) < 1e-9);
+});
+
+test('the true-up year runs from one true-up date to the next', () => {
+  const card = netMeteringCard({ true_up_date: '02-31' });
+  const before = card._getTrueUpPeriod(card._config.net_metering.true_up_date, new Date(2026, 1, 10));
+  assert.equal(before.start.getTime(), new Date(2025, 1, 28).getTime());
+  assert.equal(before.end.getTime(), new Date(2026, 1, 28).getTime());
+
+  const after = card._getTrueUpPeriod({ month: 3, day: 15 }, new Date(2026, 3, 15, 8));
+  assert.equal(after.start.getTime(), new Date(2026, 3, 15).getTime());
+});
+
+test('an invalid true_up_date is a configuration error', () => {
+  assert.throws(() => netMeteringCard({ true_up_date: 'April' }), /true_up_date/);
+  assert.throws(() => netMeteringCard({ true_up_date: '13-01' }), /true_up_date/);
+  assert.equal(netMeteringCard({ true_up_date: '2024-04-15' })._config.net_metering.true_up_date.day, 15);
+});
+
+test('a mid-month true-up settles its first month from daily statistics', () => {
+  const card = netMeteringCard();
+  const trueUp = new Date(2026, 3, 15);
+  const segments = card._getNetMeteringSegments(trueUp, new Date(2026, 6, 10, 12));
+  assert.deepEqual(Array.from(segments, segment => [segment.start.getTime(), segment.end.getTime(), segment.period]), [
+    [trueUp.getTime(), new Date(2026, 4, 1).getTime(), 'day'],
+    [new Date(2026, 4, 1).getTime(), new Date(2026, 6, 1).getTime(), 'month'],
+    [new Date(2026, 6, 1).getTime(), new Date(2026, 6, 10, 12).getTime(), 'month']
+  ]);
+
+  const early = card._getNetMeteringSegments(trueUp, new Date(2026, 3, 20));
+  assert.equal(early.length, 1);
+  assert.equal(early[0].period, 'day');
+  assert.equal(early[0].end.getTime(), new Date(2026, 3, 20).getTime());
+});
+
+test('the bank settles fetched statistics, crediting exports at the import rate when needed', async () => {
+  const card = netMeteringCard({ import_rate: 'sensor.import_rate', export_rate: 'sensor.export_rate' }, {
+    'sensor.import_rate': { state: '0.3', attributes: {} },
+    'sensor.export_rate': { state: 'unavailable', attributes: {} }
+  });
+  const now = new Date(2026, 4, 20);
+  const day = new Date(2026, 3, 20).getTime();
+  const may = new Date(2026, 4, 1).getTime();
+  card._fetchStatistics = async (ids, start, end, period) => period === 'day'
+    ? {
+      'sensor.in': [{ start: day, change: 10 }],
+      'sensor.out': [{ start: day, change: 110 }],
+      'sensor.import_rate': [{ start: day, mean: 0.2 }]
+    }
+    : {
+      'sensor.in': [{ start: may, change: 100 }],
+      'sensor.out': [{ start: may, change: 0 }]
+    };
+
+  const bank = await card._fetchNetMeteringBank(now);
+  // April: 10 × 0.2 − 110 × 0.2 banks 20; May costs 30 at the current rate
+  assert.ok(Math.abs(bank.balance) < 1e-9);
+  assert.ok(Math.abs(bank.charged - 10) < 1e-9);
+  assert.equal(bank.nextTrueUp.getTime(), new Date(2027, 3, 15).getTime());
+});
+
+test('a failing bank fetch leaves the other data in place', async () => {
+  const card = netMeteringCard();
+  const start = new Date(2026, 3, 18);
+  card._dateRange = { start, end: new Date(2026, 3, 19) };
+  card._fetchData = async () => createData(start, new Date(2026, 3, 19), { 'sensor.in': { value: 4, series: [] } });
+  card._fetchNetMeteringBank = async () => {
+    throw new Error('offline');
+  };
+  card._scheduleRefresh = () => {};
+  const errors = [];
+  const originalError = cardConsole.error;
+  cardConsole.error = (...args) => errors.push(args);
+  try {
+    await card._updateData();
+  } finally {
+    cardConsole.error = originalError;
+  }
+  assert.equal(card._data.energy['sensor.in'].value, 4);
+  assert.equal(card._netMeteringBank, null);
+  assert.match(errors[0][0], /net metering bank/);
+});